@@ -10,7 +10,37 @@ module.exports = {
     // Main WordPress endpoint
     endpoint: 'https://your-site.com/wp-json/wp/v2/',
     // Limit the number of posts to import
-    importPostCount: 2
+    importPostCount: 2,
+
+    // Optional authentication, needed for anything but published posts
+    // Use a username with an Application Password (Users > Profile > Application Passwords),
+    // or a JWT token from a JWT authentication plugin
+    auth: {
+      username: '',
+      password: '',
+      token: ''
+    },
+
+    // Optional statuses to migrate, e.g. 'publish,draft,pending,private,future' (default: published posts only)
+    status: 'publish',
+
+    // Optional 'edit' to fetch posts in the edit context, with raw content and all registered meta
+    context: 'view',
+
+    // Optional filters for which posts to migrate, passed to the WordPress REST query
+    // Each can be overridden on the command line, e.g. --categories=news --after=2020-01-01 --include=12,my-post
+    filters: {
+      after: '',          // published after this date, e.g. '2020-01-01'
+      before: '',         // published before this date
+      modifiedAfter: '',  // modified after this date (--modified-after)
+      categories: [],     // category IDs or slugs
+      tags: [],           // tag IDs or slugs
+      author: [],         // author IDs or slugs
+      include: [],        // only these post IDs or slugs
+      exclude: [],        // skip these post IDs or slugs
+      orderby: '',        // e.g. 'date', 'modified', 'title', 'id'
+      order: ''           // 'asc' or 'desc'
+    }
   },
 
   // Contentful Configuration
@@ -32,6 +62,183 @@ module.exports = {
     contentType: 'blogPost',
     
     // Content format - 'richtext' for RichText fields, 'markdown' for Long Text fields
-    contentFormat: 'richtext'
+    contentFormat: 'richtext',
+
+    // What to do when a post has already been migrated (matched by slug, or by wordpressIdField if set)
+    // 'skip' - leave the existing entry alone, 'update' - overwrite it in place, 'fail' - stop the migration
+    existingEntryPolicy: 'skip',
+
+    // Whether migrated content goes live: 'publish' - publish everything, 'draft' - leave everything as drafts
+    // for review, 'mirror' - follow each post's WordPress status (publish → published, draft/pending/private → draft,
+    // future → scheduled to publish at its date). Assets, tags, categories and authors are only left unpublished by 'draft'
+    publishPolicy: 'publish',
+
+    // Optional field ID that stores the WordPress post ID (Short text or Integer field, e.g. 'wordpressId')
+    // Leave empty to match existing entries by slug instead
+    wordpressIdField: '',
+
+    // Set to true to create missing content types (activated, with fields typed after the field mapping)
+    // and to add missing fields to existing ones. Changes are listed and confirmed first (--yes skips the prompt)
+    provisionContentTypes: false,
+
+    // Migrate into a new environment cloned from sourceEnvironment instead of 'environment' above,
+    // then switch the alias to it once you confirm. The old environment is kept for rolling back
+    sandbox: {
+      enabled: false,
+      sourceEnvironment: 'master',
+      // Alias pointed at the new environment (environment aliases must be enabled in the space)
+      alias: 'master',
+      // Optional ID for the new environment, defaults to wp-migration-<timestamp>
+      environmentId: ''
+    },
+
+    // Optional field mapping - Contentful field ID: WordPress source path (e.g. 'title.rendered', 'meta.foo', 'acf.bar'),
+    // or { source, transform } to convert the value first. Transforms: 'html-to-richtext', 'html-to-markdown',
+    // 'date', 'strip-html', 'asset-link' (media ID, URL or image object), 'reference' (WordPress post IDs),
+    // 'tags', 'categories', 'author', or a function (value, wpPost) => value.
+    // Leave it out to use the default mapping below (content follows contentFormat)
+    // fields: {
+    //   postTitle: 'title.rendered',
+    //   slug: 'slug',
+    //   content: { source: 'content.rendered', transform: 'html-to-richtext' },
+    //   publishDate: { source: 'date_gmt', transform: 'date' },
+    //   featuredImage: { source: 'featured_media', transform: 'asset-link' },
+    //   author: { source: 'author', transform: 'author' },
+    //   tags: { source: 'tags', transform: 'tags' },
+    //   categories: { source: 'categories', transform: 'categories' }
+    // }
+  },
+
+  // WordPress pages - migrated after posts, keeping their parent/child hierarchy
+  pages: {
+    // Set to true to migrate pages as well as posts
+    enabled: false,
+
+    // Content type ID to create page entries as (uses the posts' field mapping unless it has a fields mapping of its own)
+    contentType: 'page',
+
+    // Optional reference field (Entry link) that points to the parent page's entry
+    parentField: 'parentPage',
+
+    // Optional Integer field that stores the page order (WordPress menu_order)
+    orderField: 'order'
+  },
+
+  // Tags and categories - how they're written depends on the type of the post's tags/categories field:
+  // Short text joins the names, a Short text list keeps them as a list and a list of entry references
+  // links each post to tag/category entries that are created once (fields: name, slug, description, parent)
+  taxonomies: {
+    // Content type IDs for tag and category entries
+    tagContentType: 'tag',
+    categoryContentType: 'category',
+
+    // Set to true to write them as Contentful tags when the content type has no field for them
+    metadataTags: false
+  },
+
+  // Authors - when the post's author field references entries, each author becomes an entry
+  // (fields: name, slug, bio, avatar, website) that is created once; a Short text field gets their name
+  authors: {
+    // Content type ID for author entries
+    contentType: 'author'
+  },
+
+  // Translations - WPML or Polylang translations are written into Contentful locales of the same entry
+  // Only fields that are localized in Contentful get translations. Fields are always written in the
+  // environment's default locale
+  translations: {
+    // Set to true to migrate translations
+    enabled: false,
+
+    // 'polylang' (reads translations from the REST response) or 'wpml' (reads wpml_translations)
+    plugin: 'polylang',
+
+    // WordPress language of the posts to migrate, passed as ?lang= (e.g. 'en')
+    defaultLanguage: '',
+
+    // WordPress language code: Contentful locale code
+    languages: {
+      // de: 'de-DE'
+    }
+  },
+
+  // Internal links - links between posts (e.g. /2019/05/my-post/ or ?p=123) point at the migrated entries
+  internalLinks: {
+    // Set to false to leave them pointing at the WordPress site
+    enabled: true,
+
+    // New URL of a post for Markdown content, {slug} and {id} (the WordPress post ID) are filled in,
+    // e.g. '/blog/{slug}'. Rich Text always links to the entry itself
+    urlPattern: ''
+  },
+
+  // Blocks - posts built with the block editor are converted block by block from their raw markup
+  // (fetched in the edit context, so wordpress.auth is needed). Reusable blocks are expanded and
+  // embeds become links; other blocks are converted from their HTML unless they have a handler
+  blocks: {
+    // Set to true to convert posts block by block
+    enabled: false,
+
+    // Block name: handler. 'skip' leaves the block out, { contentType, fields } embeds an entry
+    // whose fields are read from the block (name, attrs, html, text, url, images), and a function
+    // (block, wpPost) can return HTML, Rich Text nodes, { contentType, fields } with values,
+    // null to leave the block out or undefined to convert it as usual
+    handlers: {
+      // 'core/spacer': 'skip',
+      // 'core/gallery': { contentType: 'gallery', fields: { images: 'images', caption: 'text' } },
+      // 'core/button': { contentType: 'callToAction', fields: { label: 'text', url: 'url' } },
+      // 'acme/notice': (block) => `<blockquote>${block.html}</blockquote>`
+    }
+  },
+
+  // Shortcodes - [caption], [gallery], [embed], [youtube], [audio] and [video] are converted by built-in
+  // handlers, and shortcodes without a handler are left as text and listed per post. Those in
+  // <pre> and <code> are always left as text
+  shortcodes: {
+    // Set to true to convert shortcodes through their handlers
+    enabled: false,
+
+    // Shortcode name: handler, as for blocks ('skip', { contentType, fields } or a function). Fields are
+    // read from the shortcode (name, attrs, content, text, url, images) and functions get
+    // (shortcode, wpPost). Handlers here replace the built-in ones
+    handlers: {
+      // 'contact-form-7': 'skip',
+      // 'pullquote': (shortcode) => `<blockquote><p>${shortcode.content}</p></blockquote>`,
+      // 'cta': { contentType: 'callToAction', fields: { label: 'text', url: 'url' } }
+    }
+  },
+
+  // Custom post types (registered with show_in_rest), each migrated to its own content type
+  // A 'posts' or 'pages' route here replaces the settings above for that route
+  postTypes: [
+    // {
+    //   // REST route under the WordPress endpoint, e.g. https://your-site.com/wp-json/wp/v2/events
+    //   route: 'events',
+    //   // Content type ID to create entries as
+    //   contentType: 'event',
+    //   // Optional limit, defaults to importPostCount
+    //   importCount: 50,
+    //   // Optional field mapping, as for contentful.fields - defaults to the posts' mapping
+    //   fields: {
+    //     title: { source: 'title.rendered', transform: 'strip-html' },
+    //     slug: 'slug',
+    //     description: { source: 'content.rendered', transform: 'html-to-richtext' },
+    //     startDate: { source: 'acf.start_date', transform: 'date' },
+    //     venue: 'meta.venue'
+    //   },
+    //   // Optional parent/order fields for hierarchical post types, as for pages
+    //   parentField: '',
+    //   orderField: ''
+    // }
+  ],
+
+  // API requests - every WordPress and Contentful call goes through one shared queue
+  requests: {
+    // Number of requests running at the same time
+    concurrency: 4,
+
+    // How many times a rate limited (429), server error (5xx) or network failure is retried
+    // Rate limited requests wait for as long as Contentful/WordPress ask, others back off exponentially
+    maxRetries: 5
   }
 };
@@ -0,0 +1,27 @@
+/**
+ * Default Field Mapping
+ * Shared by the migration and the configuration validator, so both expect the same fields
+ */
+
+/**
+ * Contentful field ID → WordPress source path (and transform), used when
+ * config.js doesn't define a field mapping.
+ * @param {String} contentFormat - 'richtext' or 'markdown', from config.js.
+ */
+function getDefaultFieldMapping(contentFormat) {
+  return {
+    postTitle: 'title.rendered',
+    slug: 'slug',
+    content: {
+      source: 'content.rendered',
+      transform: contentFormat === 'richtext' ? 'html-to-richtext' : 'html-to-markdown'
+    },
+    publishDate: { source: 'date_gmt', transform: 'date' },
+    featuredImage: { source: 'featured_media', transform: 'asset-link' },
+    author: { source: 'author', transform: 'author' },
+    tags: { source: 'tags', transform: 'tags' },
+    categories: { source: 'categories', transform: 'categories' }
+  }
+}
+
+module.exports = { getDefaultFieldMapping }
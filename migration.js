@@ -1,7 +1,13 @@
 const contentful = require('contentful-management')
 const axios = require('axios')
 const fs = require('fs');
+const crypto = require('crypto')
 const TurndownService = require('turndown')
+const domino = require('@mixmark-io/domino')
+const mime = require('mime-types')
+const path = require('path')
+const readline = require('readline')
+const { getDefaultFieldMapping } = require('./field-mapping')
 
 // Load configuration from external file
 let config;
@@ -15,6 +21,9 @@ try {
 }
 
 console.log('🚀 WordPress to Contentful Migration Script Starting...')
+if (process.argv.includes('--dry-run')) {
+  console.log('🧪 Dry run: nothing will be created or published in Contentful')
+}
 console.log('📋 Configuration loaded successfully')
 
 // Validate required configuration
@@ -32,6 +41,93 @@ if (!config.contentful.accessToken.startsWith('CFPAT-')) {
   process.exit(1);
 }
 
+// Validate existing entry policy
+const existingEntryPolicies = ['skip', 'update', 'fail']
+if (config.contentful.existingEntryPolicy && !existingEntryPolicies.includes(config.contentful.existingEntryPolicy)) {
+  console.error(`❌ Invalid existingEntryPolicy "${config.contentful.existingEntryPolicy}"!`);
+  console.error(`Please use one of: ${existingEntryPolicies.join(', ')}`);
+  process.exit(1);
+}
+
+// Validate publish policy
+const publishPolicies = ['publish', 'draft', 'mirror']
+if (config.contentful.publishPolicy && !publishPolicies.includes(config.contentful.publishPolicy)) {
+  console.error(`❌ Invalid publishPolicy "${config.contentful.publishPolicy}"!`);
+  console.error(`Please use one of: ${publishPolicies.join(', ')}`);
+  process.exit(1);
+}
+
+// Validate WordPress statuses and context
+const wordpressStatuses = ['publish', 'draft', 'pending', 'private', 'future']
+const invalidStatuses = [].concat(config.wordpress.status || []).join(',').split(',').filter(status => status && !wordpressStatuses.includes(status))
+if (invalidStatuses.length > 0) {
+  console.error(`❌ Invalid WordPress status "${invalidStatuses.join(', ')}"!`);
+  console.error(`Please use any of: ${wordpressStatuses.join(', ')}`);
+  process.exit(1);
+}
+
+if (config.wordpress.context && !['view', 'edit'].includes(config.wordpress.context)) {
+  console.error(`❌ Invalid WordPress context "${config.wordpress.context}"!`);
+  console.error('Please use one of: view, edit');
+  process.exit(1);
+}
+
+// Validate block and shortcode handlers
+for (const type of ['blocks', 'shortcodes']) {
+  const invalidHandlers = Object.entries((config[type] && config[type].handlers) || {})
+    .filter(([name, handler]) => !(handler === 'skip' || typeof handler === 'function' || (handler && handler.contentType)))
+  if (invalidHandlers.length > 0) {
+    console.error(`❌ Invalid ${type} handler for "${invalidHandlers.map(([name]) => name).join(', ')}"!`);
+    console.error('Please use \'skip\', a function or { contentType, fields }');
+    process.exit(1);
+  }
+}
+
+const wordpressAuth = config.wordpress.auth || {}
+const needsAuth = config.wordpress.context === 'edit' || !!(config.blocks && config.blocks.enabled) || [].concat(config.wordpress.status || []).join(',').split(',').some(status => status && status !== 'publish')
+if (needsAuth && !wordpressAuth.token && !(wordpressAuth.username && wordpressAuth.password)) {
+  console.error('❌ Unpublished posts, the edit context and block conversion need WordPress authentication!');
+  console.error('Please set wordpress.auth in your config.js (username and Application Password, or a JWT token)');
+  process.exit(1);
+}
+
+// Validate post filter ordering
+const filterOrder = (process.argv.find(arg => arg.startsWith('--order=')) || '').slice(8) || (config.wordpress.filters && config.wordpress.filters.order)
+if (filterOrder && !['asc', 'desc'].includes(filterOrder)) {
+  console.error(`❌ Invalid order "${filterOrder}"!`);
+  console.error('Please use one of: asc, desc');
+  process.exit(1);
+}
+
+// Validate sync mode
+if (process.argv.includes('--sync') && config.contentful.sandbox && config.contentful.sandbox.enabled) {
+  console.error('❌ Syncing changes can\'t be combined with a sandbox environment!');
+  console.error('Sync into the environment the first migration was made in, with sandbox turned off.');
+  process.exit(1);
+}
+
+// Validate custom post type routes
+for (const postType of config.postTypes || []) {
+  if (!postType.route || !postType.contentType) {
+    console.error('❌ Every entry in postTypes needs a route and a contentType!');
+    console.error('Please check your config.js file, e.g. { route: \'events\', contentType: \'event\' }');
+    process.exit(1);
+  }
+
+  if (['tags', 'categories', 'media', 'users'].includes(postType.route)) {
+    console.error(`❌ postTypes route "${postType.route}" is reserved for taxonomies, media and authors!`);
+    process.exit(1);
+  }
+}
+
+// Validate translation plugin
+const translationPlugins = ['polylang', 'wpml']
+if (config.translations && config.translations.plugin && !translationPlugins.includes(config.translations.plugin)) {
+  console.error(`❌ Invalid translations plugin "${config.translations.plugin}"!`);
+  console.error(`Please use one of: ${translationPlugins.join(', ')}`);
+  process.exit(1);
+}
+
 // Validate import post count
 if (config.wordpress.importPostCount > 100) {
   console.log('⚠️  Large import detected!')
@@ -55,6 +151,28 @@ const wpEndpoint = config.wordpress.endpoint
  */
 const import_post_count = config.wordpress.importPostCount
 
+/**
+ * Filters narrowing down which posts are migrated, from config.js and
+ * overridden by command line options (e.g. --categories=news,5).
+ */
+const post_filters = getPostFilters()
+
+/**
+ * Axios options for every WordPress request, authenticated with an
+ * Application Password (Basic auth) or a JWT bearer token when configured.
+ */
+const wp_request_config = getWordPressRequestConfig()
+
+/**
+ * Query parameters for posts, pages and post types: the statuses to fetch
+ * and the context to fetch them in ('edit' adds raw content and meta).
+ * Block conversion reads the raw content, so it always uses 'edit'.
+ */
+const wp_post_params = {
+  ...(config.wordpress.status ? { status: [].concat(config.wordpress.status).join(',') } : {}),
+  ...(config.blocks && config.blocks.enabled ? { context: 'edit' } : (config.wordpress.context ? { context: config.wordpress.context } : {}))
+}
+
 /**
  * Contentful content type ID to create entries as
  * Common content type names: 'blogPost', 'post', 'article', 'blog', 'page'
@@ -62,6 +180,234 @@ const import_post_count = config.wordpress.importPostCount
  */
 const contentful_content_type = config.contentful.contentType
 
+/**
+ * What to do when a post already has an entry in Contentful:
+ * 'skip' it, 'update' the entry in place or 'fail' the migration.
+ * Syncing always updates.
+ */
+const existing_entry_policy = process.argv.includes('--sync') ? 'update' : (config.contentful.existingEntryPolicy || 'skip')
+
+/**
+ * Whether migrated content goes live: 'publish' all of it, leave all of it
+ * as 'draft' for review, or 'mirror' each post's WordPress status.
+ */
+const publish_policy = config.contentful.publishPolicy || 'publish'
+
+/**
+ * Optional Contentful field ID that stores the WordPress post ID.
+ * When set, existing entries are matched on it instead of the slug.
+ */
+const wordpress_id_field = config.contentful.wordpressIdField || ''
+
+/**
+ * Create content types that don't exist yet, and add missing fields to
+ * those that do, from the field mappings instead of stopping the migration.
+ */
+const provision_content_types = !!config.contentful.provisionContentTypes
+
+/**
+ * WordPress pages are migrated too when enabled, each page entry linking
+ * to its parent page's entry.
+ */
+const page_settings = {
+  enabled: !!(config.pages && config.pages.enabled),
+  contentType: (config.pages && config.pages.contentType) || 'page',
+  parentField: (config.pages && config.pages.parentField) || '',
+  orderField: (config.pages && config.pages.orderField) || ''
+}
+
+/**
+ * Content types for tag and category entries, used when a post field links
+ * to entries. metadataTags writes them as Contentful tags instead when the
+ * content type has no field for them.
+ */
+const taxonomy_settings = {
+  tags: (config.taxonomies && config.taxonomies.tagContentType) || 'tag',
+  categories: (config.taxonomies && config.taxonomies.categoryContentType) || 'category',
+  metadataTags: !!(config.taxonomies && config.taxonomies.metadataTags)
+}
+
+/**
+ * Content type for author entries, used when a post's author field links
+ * to entries.
+ */
+const author_settings = {
+  contentType: (config.authors && config.authors.contentType) || 'author'
+}
+
+/**
+ * Links between WordPress posts are pointed at the migrated entries:
+ * entry hyperlinks in Rich Text, and urlPattern with {slug} and {id}
+ * filled in for Markdown.
+ */
+const internal_link_settings = {
+  enabled: !(config.internalLinks && config.internalLinks.enabled === false),
+  urlPattern: (config.internalLinks && config.internalLinks.urlPattern) || ''
+}
+
+/**
+ * Posts built with the block editor are converted block by block from
+ * their raw markup, each block type through its handler if it has one.
+ */
+const block_settings = {
+  enabled: !!(config.blocks && config.blocks.enabled),
+  handlers: (config.blocks && config.blocks.handlers) || {}
+}
+
+/**
+ * Shortcodes in the HTML are converted through their handlers: those in the
+ * config, then the built-in ones for WordPress' own shortcodes.
+ */
+const shortcode_settings = {
+  enabled: !!(config.shortcodes && config.shortcodes.enabled),
+  handlers: (config.shortcodes && config.shortcodes.handlers) || {}
+}
+
+/**
+ * WPML or Polylang translations of each post are written into the
+ * Contentful locale mapped to their language, on the same entry.
+ */
+const translation_settings = {
+  enabled: !!(config.translations && config.translations.enabled),
+  plugin: (config.translations && config.translations.plugin) || 'polylang',
+  defaultLanguage: (config.translations && config.translations.defaultLanguage) || '',
+  languages: (config.translations && config.translations.languages) || {}
+}
+
+/**
+ * Transforms a field mapping can run the WordPress value through,
+ * besides functions of its own.
+ */
+const fieldTransforms = [
+  'html-to-richtext',
+  'html-to-markdown',
+  'date',
+  'strip-html',
+  'asset-link',
+  'reference',
+  'tags',
+  'categories',
+  'author'
+]
+
+/**
+ * Contentful field ID → WordPress source path (and transform), used when
+ * config.js doesn't define a field mapping.
+ */
+const defaultFieldMapping = getDefaultFieldMapping(config.contentful.contentFormat)
+
+/**
+ * Field mapping for posts, and for pages and post types without their own.
+ */
+const post_field_mapping = config.contentful.fields || defaultFieldMapping
+
+/**
+ * WordPress content we create entries from: the REST route it's fetched
+ * from (and stored under in wpData), the Contentful content type its
+ * entries are created as and the field mapping that builds them.
+ * customFields marks mappings from config.js, whose fields must exist.
+ */
+const contentRoutes = [{
+  route: 'posts',
+  contentType: contentful_content_type,
+  importCount: import_post_count,
+  fields: getFieldMapping(post_field_mapping),
+  customFields: !!config.contentful.fields
+}]
+
+if (page_settings.enabled) {
+  contentRoutes.push({
+    route: 'pages',
+    contentType: page_settings.contentType,
+    importCount: Infinity,
+    params: { orderby: 'menu_order', order: 'asc' },
+    fields: getFieldMapping(config.pages.fields || post_field_mapping),
+    customFields: !!config.pages.fields,
+    parentField: page_settings.parentField,
+    orderField: page_settings.orderField
+  })
+}
+
+// Custom post types, a 'posts' or 'pages' route here replaces the one above
+for (const postType of config.postTypes || []) {
+  const contentRoute = {
+    route: postType.route,
+    contentType: postType.contentType,
+    importCount: postType.importCount || import_post_count,
+    fields: getFieldMapping(postType.fields || post_field_mapping),
+    customFields: !!postType.fields,
+    parentField: postType.parentField || '',
+    orderField: postType.orderField || ''
+  }
+  const index = contentRoutes.findIndex(({ route }) => route === postType.route)
+
+  if (index > -1) {
+    contentRoutes[index] = contentRoute
+  } else {
+    contentRoutes.push(contentRoute)
+  }
+}
+
+/**
+ * Continue an interrupted run from its checkpoint file
+ * (e.g. node migration.js --resume)
+ */
+const resume_migration = process.argv.includes('--resume')
+
+/**
+ * Checkpoint file, written next to wpPosts.json, recording which WordPress
+ * posts and media have been fully migrated.
+ */
+const checkpointFile = './migrationState.json'
+
+/**
+ * Build every asset and entry payload but write them to disk instead of
+ * Contentful (e.g. node migration.js --dry-run)
+ */
+const dry_run = process.argv.includes('--dry-run')
+
+/**
+ * Only migrate posts modified since the last successful run, updating the
+ * entries and assets they already have (e.g. node migration.js --sync)
+ */
+const sync_mode = process.argv.includes('--sync')
+
+/**
+ * Records when the last successful run started, which a sync fetches
+ * changes from.
+ */
+const lastRunFile = './lastRun.json'
+
+/**
+ * Unpublish and delete what a run created instead of migrating
+ * (e.g. node migration.js --rollback for the latest run, or --rollback=<run ID>)
+ */
+const rollback_run = process.argv.find(arg => arg.startsWith('--rollback=')) || process.argv.find(arg => arg === '--rollback')
+
+/**
+ * Directory with a manifest for every run, listing the assets and entries
+ * it created.
+ */
+const manifestDir = './manifests'
+
+/**
+ * Answer yes to every confirmation prompt, for unattended runs
+ * (e.g. node migration.js --yes)
+ */
+const assume_yes = process.argv.includes('--yes')
+
+/**
+ * Migrate into a new environment cloned from sourceEnvironment and, once
+ * confirmed, point the alias (e.g. master) at it. The environment the alias
+ * pointed at before is kept for rolling back.
+ */
+const sandbox_settings = {
+  enabled: !!(config.contentful.sandbox && config.contentful.sandbox.enabled),
+  sourceEnvironment: (config.contentful.sandbox && config.contentful.sandbox.sourceEnvironment) || config.contentful.environment || 'master',
+  alias: (config.contentful.sandbox && config.contentful.sandbox.alias) || 'master',
+  environmentId: (config.contentful.sandbox && config.contentful.sandbox.environmentId) || getSandboxEnvironmentId()
+}
+
 /**
  * API Endpoints that we'd like to receive data from
  * (e.g. /wp-json/wp/v2/${key})
@@ -70,24 +416,52 @@ let wpData = {
   'posts': [],
   'tags': [],
   'categories': [],
-  'media': []
+  'media': [],
+  'users': []
 };
+contentRoutes.forEach(({ route }) => {
+  wpData[route] = []
+})
 
 /**
  * Contentful API requirements
  */
 const ctfData = {
   accessToken: config.contentful.accessToken,
-  environment: config.contentful.environment,
+  // A dry run reads the environment the sandbox would be cloned from
+  environment: sandbox_settings.enabled
+    ? (dry_run ? sandbox_settings.sourceEnvironment : sandbox_settings.environmentId)
+    : config.contentful.environment,
   spaceId: config.contentful.spaceId
 }
 Object.freeze(ctfData);
 
+/**
+ * Number of API requests that may run at the same time, and how often a
+ * rate limited or failed request is retried before giving up.
+ */
+const requestSettings = {
+  concurrency: (config.requests && config.requests.concurrency) || 4,
+  maxRetries: (config.requests && config.requests.maxRetries !== undefined) ? config.requests.maxRetries : 5
+}
+
+/**
+ * Time (ms) until which all requests wait after being rate limited.
+ */
+let rateLimitedUntil = 0
+
 /**
  * Creation of Contentful Client
+ * Retries are handled by our request queue, so the client's own are disabled.
  */
 const ctfClient = contentful.createClient({
-  accessToken: ctfData.accessToken
+  accessToken: ctfData.accessToken,
+  retryOnError: false,
+  onError: (error) => {
+    // The client drops response headers from its errors, so note the rate limit reset here
+    pauseForRateLimit(error)
+    return Promise.reject(error)
+  }
 })
 
 /**
@@ -100,11 +474,43 @@ const logSeparator = `-------`
  */
 let apiData = {}
 
+/**
+ * Translated WordPress posts, by the ID of the post they translate and
+ * then language.
+ */
+let apiTranslations = {}
+
+/**
+ * Raw markup of the reusable blocks posts use, by block ID.
+ */
+let apiReusableBlocks = {}
+
+/**
+ * Locale fields are written in, replaced by the environment's default
+ * locale once we've connected.
+ */
+let defaultLocale = 'en-US'
+
 /**
  * Object to store Contentful Data in.
  */
 let contentfulData = []
 
+/**
+ * Progress of the current run, persisted to the checkpoint file.
+ */
+let checkpoint = {}
+
+/**
+ * The last successful run, loaded from the last run file when syncing.
+ */
+let lastRun = null
+
+/**
+ * Assets and entries created by the current run, persisted to its manifest.
+ */
+let manifest = null
+
 /**
  * Markdown / Content conversion functions.
  */
@@ -142,7 +548,7 @@ turndownService.addRule('fencedCodeBlock', {
 turndownService.addRule('replaceWordPressImages', {
   filter: ['img'],
   replacement: function(content, node, options) {
-    let assetUrl = contentfulData.assets.filter(asset => {
+    let assetUrl = (contentfulData.assetUrlsBySource || {})[node.getAttribute('src')] || contentfulData.assets.filter(asset => {
       let assertFileName = asset.split('/').pop()
       let nodeFileName = node.getAttribute('src').split('/').pop()
 
@@ -155,906 +561,5038 @@ turndownService.addRule('replaceWordPressImages', {
   }
 })
 
+/**
+ * Point links to migrated files (PDFs, audio, video) at their Contentful asset.
+ */
+turndownService.addRule('replaceWordPressFileLinks', {
+  filter: function (node) {
+    return node.nodeName === 'A' && !!(contentfulData.assetUrlsBySource || {})[node.getAttribute('href')]
+  },
+  replacement: function (content, node) {
+    return `[${content}](${contentfulData.assetUrlsBySource[node.getAttribute('href')]})`
+  }
+})
+
+/**
+ * Point links to migrated posts at their new URL, when urlPattern is set.
+ */
+turndownService.addRule('replaceInternalLinks', {
+  filter: function (node) {
+    return node.nodeName === 'A' && !!internal_link_settings.urlPattern && !!getInternalLinkTarget(node.getAttribute('href'))
+  },
+  replacement: function (content, node) {
+    return `[${content}](${getInternalLinkUrl(node.getAttribute('href'))})`
+  }
+})
+
+/**
+ * Rich Text marks for inline HTML formatting elements.
+ */
+const richTextMarks = {
+  STRONG: 'bold',
+  B: 'bold',
+  EM: 'italic',
+  I: 'italic',
+  CITE: 'italic',
+  U: 'underline',
+  INS: 'underline',
+  CODE: 'code',
+  KBD: 'code',
+  SAMP: 'code',
+  TT: 'code'
+}
+
+/**
+ * HTML elements that start a new block in the Rich Text document.
+ * Anything else is treated as inline content of the surrounding paragraph.
+ */
+const htmlBlockElements = [
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'AUDIO', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV',
+  'DL', 'DT', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4',
+  'H5', 'H6', 'HEADER', 'HR', 'IFRAME', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE',
+  'SECTION', 'TABLE', 'UL', 'VIDEO', 'WP-EMBED'
+]
+
+/**
+ * HTML elements that have no place in the Rich Text document.
+ */
+const htmlIgnoredElements = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']
+
+/**
+ * Rich Text nodes that only group other blocks, and can be unwrapped
+ * when they're not allowed somewhere.
+ */
+const richTextContainerTypes = [
+  'blockquote', 'ordered-list', 'unordered-list', 'list-item',
+  'table', 'table-row', 'table-cell', 'table-header-cell'
+]
+
+/**
+ * Block node types a Rich Text list item may contain.
+ */
+const listItemBlockTypes = [
+  'paragraph', 'ordered-list', 'unordered-list', 'hr', 'blockquote',
+  'embedded-asset-block', 'embedded-entry-block'
+]
+
 /**
  * Convert HTML content to Contentful RichText format
+ * Walks the parsed HTML and builds the matching Rich Text nodes, see
+ * https://www.contentful.com/developers/docs/concepts/rich-text/
  * @param {String} htmlContent - WordPress post content in HTML
+ * @param {Array} embedNodes - Rich Text nodes for each placeholder a block or shortcode handler left.
  */
-function convertToRichText(htmlContent) {
-  // Simple conversion - creates a basic RichText document with paragraphs
-  // This handles basic HTML to RichText conversion
-  
-  // Remove undefined image references and clean up content
-  let cleanContent = htmlContent.replace(/!\[.*?\]\(undefined\)/g, '')
-  
-  // Convert to markdown first to get clean text
-  const markdown = turndownService.turndown(cleanContent)
-  
-  // Split into paragraphs and process each one
-  const lines = markdown.split('\n').filter(line => line.trim().length > 0)
-  const content = []
-  
-  for (const line of lines) {
-    const trimmedLine = line.trim()
-    
-    if (trimmedLine.startsWith('# ')) {
-      // Heading 1
-      content.push({
-        nodeType: 'heading-1',
-        data: {},
-        content: [{
-          nodeType: 'text',
-          value: trimmedLine.substring(2),
-          marks: [],
-          data: {}
-        }]
-      })
-    } else if (trimmedLine.startsWith('## ')) {
-      // Heading 2
-      content.push({
-        nodeType: 'heading-2',
-        data: {},
-        content: [{
-          nodeType: 'text',
-          value: trimmedLine.substring(3),
-          marks: [],
-          data: {}
-        }]
-      })
-    } else if (trimmedLine.startsWith('### ')) {
-      // Heading 3
-      content.push({
-        nodeType: 'heading-3',
-        data: {},
-        content: [{
-          nodeType: 'text',
-          value: trimmedLine.substring(4),
-          marks: [],
-          data: {}
-        }]
-      })
-    } else if (trimmedLine.startsWith('> ')) {
-      // Blockquote
-      content.push({
-        nodeType: 'blockquote',
-        data: {},
-        content: [{
-          nodeType: 'paragraph',
-          data: {},
-          content: [{
-            nodeType: 'text',
-            value: trimmedLine.substring(2),
-            marks: [],
-            data: {}
-          }]
-        }]
-      })
-    } else if (trimmedLine.length > 0) {
-      // Regular paragraph
-      content.push({
-        nodeType: 'paragraph',
-        data: {},
-        content: [{
-          nodeType: 'text',
-          value: trimmedLine,
-          marks: [],
-          data: {}
-        }]
-      })
+function convertToRichText(htmlContent, embedNodes = []) {
+  const document = domino.createDocument(htmlContent)
+
+  // Placeholders in a link, heading or the like would be lost, they follow it instead
+  for (const placeholder of Array.from(document.querySelectorAll('wp-embed'))) {
+    let container = placeholder
+    while (!canHoldRichTextBlocks(container.parentNode)) {
+      container = container.parentNode
+    }
+    if (container !== placeholder) {
+      container.parentNode.insertBefore(placeholder, container.nextSibling)
     }
   }
-  
+
   return {
     nodeType: 'document',
     data: {},
-    content: content
+    content: convertHtmlBlocks(document.body.childNodes, embedNodes)
   }
 }
 
 /**
- * Main Migration Script.
- * -----------------------------------------------------------------------------
+ * Whether the children of an HTML element are converted as Rich Text
+ * blocks, so a block can sit among them.
+ * @param {Element} node - HTML element.
  */
+function canHoldRichTextBlocks(node) {
+  if (['BODY', 'TD', 'TH'].includes(node.nodeName)) {
+    return true
+  }
+  return htmlBlockElements.includes(node.nodeName) && !/^(H[1-6]|PRE|UL|OL|TABLE|HR|IFRAME|AUDIO|VIDEO|WP-EMBED)$/.test(node.nodeName)
+}
 
 /**
- * Test Contentful connection before starting migration
+ * Convert a list of HTML nodes to Rich Text block nodes. Runs of inline
+ * content between block elements are wrapped in paragraphs.
+ * @param {NodeList} htmlNodes - child nodes of an HTML element.
+ * @param {Array} embedNodes - Rich Text nodes for the handler placeholders.
  */
-async function testContentfulConnection() {
-  console.log('🔗 Testing Contentful connection...')
-  
-  try {
-    const space = await ctfClient.getSpace(ctfData.spaceId)
-    console.log(`✅ Connected to space: "${space.name}"`)
-    
-    const environment = await space.getEnvironment(ctfData.environment)
-    console.log(`✅ Connected to environment: "${environment.sys.id}"`)
-    
-    return environment
-  } catch (error) {
-    console.error('❌ Connection test failed:')
-    console.error('Status:', error.response?.status)
-    console.error('Message:', error.message)
-    
-    if (error.response?.status === 401) {
-      console.error('\n🔑 Authentication failed:')
-      console.error('- Check your access token in config.js')
-      console.error('- Make sure it\'s a Content Management API token (CFPAT-...)')
-      console.error('- Verify the token hasn\'t expired')
-    } else if (error.response?.status === 404) {
-      console.error('\n🔍 Resource not found:')
-      console.error('- Check your Space ID in config.js')
-      console.error('- Verify the environment name (usually "master")')
+function convertHtmlBlocks(htmlNodes, embedNodes) {
+  let blocks = []
+  let inlineNodes = []
+
+  const flushParagraph = () => {
+    blocks = blocks.concat(createRichTextParagraphs(inlineNodes))
+    inlineNodes = []
+  }
+
+  for (const node of Array.from(htmlNodes)) {
+    if (node.nodeType === 1 && htmlBlockElements.includes(node.nodeName)) {
+      flushParagraph()
+      blocks = blocks.concat(convertHtmlBlock(node, embedNodes))
+    } else {
+      inlineNodes = inlineNodes.concat(convertHtmlInline(node, []))
     }
-    
-    process.exit(1)
   }
+  flushParagraph()
+
+  return blocks
 }
 
 /**
- * Fetch data with pagination support for large datasets
- * WordPress typically limits per_page to 100, so we need to paginate for larger requests
+ * Convert a single block level HTML element to Rich Text block nodes.
+ * @param {Element} node - block level HTML element.
+ * @param {Array} embedNodes - Rich Text nodes for the handler placeholders.
  */
-async function fetchDataWithPagination(baseUrl, totalItemsNeeded) {
-  const maxPerPage = 100; // WordPress default limit
-  let allData = [];
-  let page = 1;
-  let hasMorePages = true;
-  
-  console.log(`📡 Fetching up to ${totalItemsNeeded} items from: ${baseUrl}`)
-  
-  while (hasMorePages && allData.length < totalItemsNeeded) {
-    const itemsToFetch = Math.min(maxPerPage, totalItemsNeeded - allData.length);
-    const url = `${baseUrl}?per_page=${itemsToFetch}&page=${page}`;
-    
-    try {
+function convertHtmlBlock(node, embedNodes) {
+  const heading = node.nodeName.match(/^H([1-6])$/)
+
+  if (heading) {
+    // Images can't sit inside a heading, so they follow it
+    const inlineNodes = convertHtmlInlineChildren(node, [])
+    const embeddedAssets = inlineNodes.filter(child => child.nodeType === 'embedded-asset-block')
+    const content = cleanRichTextInline(inlineNodes.filter(child => child.nodeType !== 'embedded-asset-block'))
+
+    return (content.length > 0 ? [{
+      nodeType: `heading-${heading[1]}`,
+      data: {},
+      content: content
+    }] : []).concat(embeddedAssets)
+  }
+
+  switch (node.nodeName) {
+    case 'HR':
+      return [{
+        nodeType: 'hr',
+        data: {},
+        content: []
+      }]
+
+    case 'UL':
+    case 'OL':
+      return createRichTextList(node, embedNodes)
+
+    case 'BLOCKQUOTE': {
+      // Quotes may only contain paragraphs, images in them follow the quote
+      const movedBlocks = []
+      const content = restrictRichTextBlocks(convertHtmlBlocks(node.childNodes, embedNodes), ['paragraph'], movedBlocks)
+      return (content.length > 0 ? [{
+        nodeType: 'blockquote',
+        data: {},
+        content: content
+      }] : []).concat(movedBlocks)
+    }
+
+    case 'PRE': {
+      // Rich Text has no code block, so keep the formatting in a code marked paragraph
+      const code = node.textContent.replace(/\n+$/, '')
+      return code.trim().length > 0 ? [{
+        nodeType: 'paragraph',
+        data: {},
+        content: [createRichTextText(code, ['code'])]
+      }] : []
+    }
+
+    case 'TABLE':
+      return createRichTextTable(node, embedNodes)
+
+    case 'WP-EMBED':
+      // Rich Text nodes or an embedded entry a block or shortcode handler gave
+      return embedNodes[node.getAttribute('data-index')] || []
+
+    case 'IFRAME':
+    case 'VIDEO':
+    case 'AUDIO': {
+      const source = node.getAttribute('src') || (node.querySelector('source') && node.querySelector('source').getAttribute('src'))
+
+      // Audio and video uploaded to WordPress were migrated as assets
+      const assetId = source && (contentfulData.assetsBySource || {})[source]
+      if (assetId) {
+        return [createRichTextEmbeddedAsset(assetId)]
+      }
+
+      // Other embeds can't be represented, keep a link to the source so they aren't lost
+      return source ? [createRichTextParagraph([{
+        nodeType: 'hyperlink',
+        data: { uri: source },
+        content: [createRichTextText(source, [])]
+      }])] : []
+    }
+
+    default:
+      // Paragraphs and generic containers (div, figure, section...)
+      return convertHtmlBlocks(node.childNodes, embedNodes)
+  }
+}
+
+/**
+ * Convert an HTML list to a Rich Text list with a list item per <li>.
+ * @param {Element} node - <ul> or <ol> element.
+ * @param {Array} embedNodes - Rich Text nodes for the handler placeholders.
+ */
+function createRichTextList(node, embedNodes) {
+  const items = Array.from(node.childNodes)
+    .filter(child => child.nodeName === 'LI')
+    .map(item => restrictRichTextBlocks(convertHtmlBlocks(item.childNodes, embedNodes), listItemBlockTypes))
+    .filter(content => content.length > 0)
+    .map(content => ({
+      nodeType: 'list-item',
+      data: {},
+      content: content
+    }))
+
+  return items.length > 0 ? [{
+    nodeType: node.nodeName === 'OL' ? 'ordered-list' : 'unordered-list',
+    data: {},
+    content: items
+  }] : []
+}
+
+/**
+ * Convert an HTML table to a Rich Text table. Cells may only contain
+ * paragraphs, images in them follow the table.
+ * @param {Element} node - <table> element.
+ * @param {Array} embedNodes - Rich Text nodes for the handler placeholders.
+ */
+function createRichTextTable(node, embedNodes) {
+  const sections = Array.from(node.childNodes).filter(child => ['THEAD', 'TBODY', 'TFOOT'].includes(child.nodeName))
+  const htmlRows = Array.from(node.childNodes)
+    .concat(...sections.map(section => Array.from(section.childNodes)))
+    .filter(child => child.nodeName === 'TR')
+  const movedBlocks = []
+
+  const rows = htmlRows.map(row => ({
+    nodeType: 'table-row',
+    data: {},
+    content: Array.from(row.childNodes)
+      .filter(cell => cell.nodeName === 'TH' || cell.nodeName === 'TD')
+      .map(cell => {
+        const content = restrictRichTextBlocks(convertHtmlBlocks(cell.childNodes, embedNodes), ['paragraph'], movedBlocks)
+        return {
+          nodeType: cell.nodeName === 'TH' ? 'table-header-cell' : 'table-cell',
+          data: {},
+          // Empty cells still need a paragraph
+          content: content.length > 0 ? content : [{
+            nodeType: 'paragraph',
+            data: {},
+            content: [createRichTextText('', [])]
+          }]
+        }
+      })
+  })).filter(row => row.content.length > 0)
+
+  return (rows.length > 0 ? [{
+    nodeType: 'table',
+    data: {},
+    content: rows
+  }] : []).concat(movedBlocks)
+}
+
+/**
+ * Keep only the block types a container allows. Headings become paragraphs,
+ * other containers (quotes, lists, tables) are unwrapped, embedded assets and
+ * entries are handed back to go after the container and anything else is dropped.
+ * @param {Array} blocks - Rich Text block nodes.
+ * @param {Array} allowedTypes - node types the container accepts.
+ * @param {Array} movedBlocks - collects the embedded blocks the container can't hold.
+ */
+function restrictRichTextBlocks(blocks, allowedTypes, movedBlocks = []) {
+  return blocks.reduce((allowed, block) => {
+    if (allowedTypes.includes(block.nodeType)) {
+      return allowed.concat(block)
+    }
+
+    if (block.nodeType.startsWith('heading-')) {
+      return allowed.concat({ ...block, nodeType: 'paragraph' })
+    }
+
+    if (richTextContainerTypes.includes(block.nodeType)) {
+      return allowed.concat(restrictRichTextBlocks(block.content, allowedTypes, movedBlocks))
+    }
+
+    if (['embedded-asset-block', 'embedded-entry-block'].includes(block.nodeType)) {
+      movedBlocks.push(block)
+    }
+
+    return allowed
+  }, [])
+}
+
+/**
+ * Convert an inline HTML node to Rich Text inline nodes, carrying the marks
+ * of every formatting element it is nested in.
+ * @param {Node} node - inline HTML node.
+ * @param {Array} marks - mark types applied by the parent elements.
+ */
+function convertHtmlInline(node, marks) {
+  if (node.nodeType === 3) {
+    return [createRichTextText(node.nodeValue.replace(/\s+/g, ' '), marks)]
+  }
+
+  if (node.nodeType !== 1 || htmlIgnoredElements.includes(node.nodeName)) {
+    return []
+  }
+
+  switch (node.nodeName) {
+    case 'BR':
+      return [createRichTextText('\n', marks)]
+
+    case 'IMG': {
+      // Embed the asset uploaded for this image, the paragraph is split around it
+      const source = node.getAttribute('src')
+      const assetId = source && (contentfulData.assetsBySource || {})[source]
+
+      if (!assetId) {
+        console.log(`   ⚠️  No asset found for image ${source}, leaving it out`)
+        return []
+      }
+
+      return [createRichTextEmbeddedAsset(assetId)]
+    }
+
+    case 'A': {
+      if (!node.getAttribute('href')) {
+        return convertHtmlInlineChildren(node, marks)
+      }
+
+      // Links to migrated files point at their asset, and links to migrated
+      // posts at their entry
+      const fileAssetId = (contentfulData.assetsBySource || {})[node.getAttribute('href')]
+      const internalLink = getInternalLinkTarget(node.getAttribute('href'))
+
+      // Hyperlinks may only contain text, so unwrap anything nested in them
+      // and move linked images after the link
+      const children = convertHtmlInlineChildren(node, marks)
+      const embeddedAssets = children.filter(child => child.nodeType === 'embedded-asset-block')
+      const content = children
+        .filter(child => child.nodeType !== 'embedded-asset-block')
+        .reduce((texts, child) => texts.concat(child.nodeType === 'text' ? child : child.content), [])
+
+      let link = { nodeType: 'hyperlink', data: { uri: node.getAttribute('href') } }
+      if (fileAssetId) {
+        link = { nodeType: 'asset-hyperlink', data: { target: createRichTextAssetLink(fileAssetId) } }
+      } else if (internalLink) {
+        link = { nodeType: 'entry-hyperlink', data: { target: createRichTextEntryLink(internalLink.entryId) } }
+      }
+
+      return [{
+        ...link,
+        content: content
+      }].concat(embeddedAssets)
+    }
+
+    default: {
+      const mark = richTextMarks[node.nodeName]
+      return convertHtmlInlineChildren(node, mark && !marks.includes(mark) ? marks.concat(mark) : marks)
+    }
+  }
+}
+
+/**
+ * Convert all children of an HTML element to Rich Text inline nodes.
+ * @param {Element} node - HTML element.
+ * @param {Array} marks - mark types applied to the children.
+ */
+function convertHtmlInlineChildren(node, marks) {
+  return Array.from(node.childNodes).reduce((inline, child) => inline.concat(convertHtmlInline(child, marks)), [])
+}
+
+/**
+ * Create a Rich Text embedded asset block.
+ * @param {String} assetId - Contentful asset ID.
+ */
+function createRichTextEmbeddedAsset(assetId) {
+  return {
+    nodeType: 'embedded-asset-block',
+    data: {
+      target: createRichTextAssetLink(assetId)
+    },
+    content: []
+  }
+}
+
+/**
+ * Create a link to a Contentful asset.
+ * @param {String} assetId - Contentful asset ID.
+ */
+function createRichTextAssetLink(assetId) {
+  return {
+    sys: {
+      type: 'Link',
+      linkType: 'Asset',
+      id: assetId
+    }
+  }
+}
+
+/**
+ * Create a link to a Contentful entry.
+ * @param {String} entryId - Contentful entry ID.
+ */
+function createRichTextEntryLink(entryId) {
+  return {
+    sys: {
+      type: 'Link',
+      linkType: 'Entry',
+      id: entryId
+    }
+  }
+}
+
+/**
+ * Wrap inline nodes in paragraphs, splitting them around embedded images.
+ * @param {Array} inlineNodes - Rich Text inline nodes and embedded asset blocks.
+ */
+function createRichTextParagraphs(inlineNodes) {
+  let blocks = []
+  let paragraphNodes = []
+
+  for (const node of inlineNodes) {
+    if (node.nodeType === 'embedded-asset-block') {
+      blocks = blocks.concat(createRichTextParagraph(paragraphNodes) || [], node)
+      paragraphNodes = []
+    } else {
+      paragraphNodes.push(node)
+    }
+  }
+
+  return blocks.concat(createRichTextParagraph(paragraphNodes) || [])
+}
+
+/**
+ * Wrap inline nodes in a paragraph, or return null if there's nothing to show.
+ * @param {Array} inlineNodes - Rich Text inline nodes.
+ */
+function createRichTextParagraph(inlineNodes) {
+  const content = cleanRichTextInline(inlineNodes)
+
+  return content.length > 0 ? {
+    nodeType: 'paragraph',
+    data: {},
+    content: content
+  } : null
+}
+
+/**
+ * Create a Rich Text text node.
+ * @param {String} value - text content.
+ * @param {Array} marks - mark types, e.g. ['bold', 'italic'].
+ */
+function createRichTextText(value, marks) {
+  return {
+    nodeType: 'text',
+    value: value,
+    marks: marks.map(type => ({ type })),
+    data: {}
+  }
+}
+
+/**
+ * Tidy inline nodes the way a browser renders them: merge neighbouring text
+ * with the same marks, collapse whitespace between nodes, trim both ends and
+ * drop what is left empty.
+ * @param {Array} inlineNodes - Rich Text inline nodes.
+ */
+function cleanRichTextInline(inlineNodes) {
+  const isHyperlink = node => node.nodeType.endsWith('hyperlink')
+  const nodes = mergeRichTextTexts(inlineNodes.map(node => {
+    return isHyperlink(node) ? { ...node, content: mergeRichTextTexts(node.content) } : node
+  }))
+  const texts = nodes.reduce((all, node) => all.concat(isHyperlink(node) ? node.content : node), [])
+
+  let previousValue = '\n'
+  for (const text of texts) {
+    text.value = text.value.replace(/ *\n */g, '\n')
+    if (/\s$/.test(previousValue)) {
+      text.value = text.value.replace(/^ +/, '')
+    }
+    if (text.value.length > 0) {
+      previousValue = text.value
+    }
+  }
+
+  const firstText = texts.find(text => text.value.length > 0)
+  if (firstText) {
+    firstText.value = firstText.value.replace(/^\s+/, '')
+  }
+
+  const lastText = texts.slice().reverse().find(text => text.value.length > 0)
+  if (lastText) {
+    lastText.value = lastText.value.replace(/\s+$/, '')
+  }
+
+  return nodes
+    .map(node => isHyperlink(node) ? { ...node, content: node.content.filter(text => text.value.length > 0) } : node)
+    .filter(node => isHyperlink(node) ? node.content.length > 0 : node.value.length > 0)
+}
+
+/**
+ * Merge neighbouring text nodes that carry the same marks.
+ * @param {Array} inlineNodes - Rich Text inline nodes.
+ */
+function mergeRichTextTexts(inlineNodes) {
+  const markKey = text => text.marks.map(mark => mark.type).sort().join()
+
+  return inlineNodes.reduce((merged, node) => {
+    const previous = merged[merged.length - 1]
+
+    if (previous && previous.nodeType === 'text' && node.nodeType === 'text' && markKey(previous) === markKey(node)) {
+      merged[merged.length - 1] = { ...previous, value: previous.value + node.value }
+    } else {
+      merged.push(node.nodeType === 'text' ? { ...node } : node)
+    }
+
+    return merged
+  }, [])
+}
+
+/**
+ * Request queue.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * Run queued tasks, never more than `concurrency` at a time.
+ * @param {Number} concurrency - maximum number of tasks running at once.
+ */
+function createRequestQueue(concurrency) {
+  let running = 0
+  let waiting = []
+
+  const next = () => {
+    if (running >= concurrency || waiting.length === 0) {
+      return
+    }
+
+    const { task, resolve, reject } = waiting.shift()
+    running++
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        running--
+        next()
+      })
+  }
+
+  return {
+    add: (task) => new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject })
+      next()
+    })
+  }
+}
+
+/**
+ * Queue shared by every WordPress and Contentful API call.
+ */
+const requestQueue = createRequestQueue(requestSettings.concurrency)
+
+/**
+ * Run an API call through the shared request queue, retrying it when it's
+ * rate limited or fails with a server or network error.
+ * @param {Function} request - function making the API call and returning its promise.
+ * @param {String} label - description of the call for the retry log.
+ */
+function queueRequest(request, label) {
+  return requestQueue.add(() => retryRequest(request, label, 0))
+}
+
+/**
+ * Create an asset or entry with a given ID through the request queue. When
+ * a retry gets a 409, the attempt before it reached Contentful and only its
+ * response was lost, so the one it created is fetched instead.
+ * @param {Function} create - function creating the asset or entry and returning its promise.
+ * @param {Function} fetch - function getting it by its ID.
+ * @param {String} label - description of the call for the retry log.
+ */
+function queueCreateRequest(create, fetch, label) {
+  let attempts = 0
+
+  return queueRequest(() => {
+    attempts++
+    return create().catch((error) => {
+      if (attempts > 1 && getErrorStatus(error) === 409) {
+        console.log(`   ♻️  ${label}: created by an earlier attempt, fetching it`)
+        return fetch()
+      }
+      throw error
+    })
+  }, label)
+}
+
+/**
+ * Make an API call, waiting out any rate limit first and retrying transient
+ * failures with exponential backoff.
+ * @param {Function} request - function making the API call and returning its promise.
+ * @param {String} label - description of the call for the retry log.
+ * @param {Number} attempt - number of retries so far.
+ */
+async function retryRequest(request, label, attempt) {
+  if (rateLimitedUntil > Date.now()) {
+    await sleep(rateLimitedUntil - Date.now())
+  }
+
+  try {
+    return await request()
+  } catch (error) {
+    const status = getErrorStatus(error)
+    const retryable = status === 429 || status >= 500 || (!status && retryableErrorCodes.includes(error.code))
+
+    if (!retryable || attempt >= requestSettings.maxRetries) {
+      throw error
+    }
+
+    // Back off exponentially, unless the API told us how long to wait
+    let delay = Math.min(1000 * Math.pow(2, attempt), 60000) + Math.floor(Math.random() * 250)
+    if (status === 429) {
+      delay = Math.max(pauseForRateLimit(error), rateLimitedUntil - Date.now(), 1000)
+    }
+
+    console.log(`   ⏳ ${label}: ${status || error.code}, retrying in ${Math.ceil(delay / 1000)}s (${attempt + 1}/${requestSettings.maxRetries})`)
+    await sleep(delay)
+    return retryRequest(request, label, attempt + 1)
+  }
+}
+
+/**
+ * Network error codes worth retrying.
+ */
+const retryableErrorCodes = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']
+
+/**
+ * Pause every queued request when a response says we're rate limited, for as
+ * long as its X-Contentful-RateLimit-Reset or Retry-After header asks.
+ * @param {Error} error - failed axios request.
+ * @returns {Number} milliseconds to wait, or 0 if not rate limited.
+ */
+function pauseForRateLimit(error) {
+  const response = error.response
+  if (!response || response.status !== 429) {
+    return 0
+  }
+
+  const headers = response.headers || {}
+  const resetSeconds = parseFloat(headers['x-contentful-ratelimit-reset'])
+  const retryAfter = headers['retry-after']
+
+  let delay = 1000
+  if (!isNaN(resetSeconds)) {
+    delay = resetSeconds * 1000
+  } else if (retryAfter) {
+    // Either a number of seconds or an HTTP date
+    delay = isNaN(retryAfter) ? new Date(retryAfter).getTime() - Date.now() : parseFloat(retryAfter) * 1000
+  }
+  delay = Math.max(delay, 1000)
+
+  rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + delay)
+  return delay
+}
+
+/**
+ * HTTP status of a failed request, from an axios error or from the JSON
+ * message of a Contentful client error.
+ * @param {Error} error - failed request.
+ */
+function getErrorStatus(error) {
+  if (error.response && error.response.status) {
+    return error.response.status
+  }
+
+  try {
+    return JSON.parse(error.message).status
+  } catch (parseError) {
+    return undefined
+  }
+}
+
+/**
+ * Wait for the given number of milliseconds.
+ * @param {Number} ms - milliseconds to wait.
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Main Migration Script.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * Test Contentful connection before starting migration
+ */
+async function testContentfulConnection() {
+  console.log('🔗 Testing Contentful connection...')
+  
+  try {
+    const space = await queueRequest(() => ctfClient.getSpace(ctfData.spaceId), 'Getting space')
+    console.log(`✅ Connected to space: "${space.name}"`)
+    
+    if (sandbox_settings.enabled && dry_run) {
+      console.log(`🧪 Dry run: planning against "${ctfData.environment}", no sandbox environment is cloned`)
+    }
+    const environment = sandbox_settings.enabled && !dry_run
+      ? await prepareSandboxEnvironment(space)
+      : await queueRequest(() => space.getEnvironment(ctfData.environment), 'Getting environment')
+    console.log(`✅ Connected to environment: "${environment.sys.id}"`)
+    
+    return environment
+  } catch (error) {
+    console.error('❌ Connection test failed:')
+    console.error('Status:', error.response?.status)
+    console.error('Message:', error.message)
+    
+    if (error.response?.status === 401) {
+      console.error('\n🔑 Authentication failed:')
+      console.error('- Check your access token in config.js')
+      console.error('- Make sure it\'s a Content Management API token (CFPAT-...)')
+      console.error('- Verify the token hasn\'t expired')
+    } else if (error.response?.status === 404) {
+      console.error('\n🔍 Resource not found:')
+      console.error('- Check your Space ID in config.js')
+      console.error('- Verify the environment name (usually "master")')
+    }
+    
+    process.exit(1)
+  }
+}
+
+/**
+ * ID for a new sandbox environment, or the one a resumed run was migrating into.
+ */
+function getSandboxEnvironmentId() {
+  if (resume_migration && fs.existsSync(checkpointFile)) {
+    const { sandbox } = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'))
+    if (sandbox) {
+      return sandbox.environment
+    }
+  }
+
+  return `wp-migration-${new Date().toISOString().slice(0, 19).replace(/\D/g, '')}`
+}
+
+/**
+ * Clone the sandbox environment from its source environment and wait until
+ * it's ready, or get the one a resumed run was migrating into.
+ * @param {Object} space - Contentful Space.
+ */
+async function prepareSandboxEnvironment(space) {
+  const environmentId = sandbox_settings.environmentId
+
+  // Fail before cloning anything when there's no alias to switch
+  const alias = await queueRequest(() => space.getEnvironmentAlias(sandbox_settings.alias), 'Getting environment alias')
+  console.log(`🔀 Alias "${alias.sys.id}" points at environment "${alias.environment.sys.id}"`)
+
+  if (checkpoint.sandbox) {
+    console.log(`♻️  Continuing in sandbox environment "${environmentId}"`)
+    return queueRequest(() => space.getEnvironment(environmentId), 'Getting environment')
+  }
+
+  console.log(`🧱 Cloning environment "${sandbox_settings.sourceEnvironment}" into "${environmentId}"...`)
+  let environment = await queueRequest(
+    () => space.createEnvironmentWithId(environmentId, { name: environmentId }, sandbox_settings.sourceEnvironment),
+    `Creating environment ${environmentId}`
+  )
+
+  while (environment.sys.status.sys.id !== 'ready') {
+    if (environment.sys.status.sys.id === 'failed') {
+      throw new Error(`Cloning environment "${environmentId}" failed`)
+    }
+    await sleep(5000)
+    environment = await queueRequest(() => space.getEnvironment(environmentId), 'Getting environment')
+  }
+
+  checkpoint.sandbox = {
+    environment: environmentId,
+    sourceEnvironment: sandbox_settings.sourceEnvironment,
+    alias: sandbox_settings.alias
+  }
+  saveCheckpoint()
+  return environment
+}
+
+/**
+ * Point the alias at the sandbox environment once the migrated content has
+ * been reviewed and the switch confirmed.
+ */
+async function promoteSandboxEnvironment() {
+  const space = await queueRequest(() => ctfClient.getSpace(ctfData.spaceId), 'Getting space')
+  const alias = await queueRequest(() => space.getEnvironmentAlias(sandbox_settings.alias), 'Getting environment alias')
+  const previousEnvironment = alias.environment.sys.id
+
+  if (previousEnvironment === ctfData.environment) {
+    console.log(`✅ Alias "${alias.sys.id}" already points at "${ctfData.environment}"`)
+    return
+  }
+
+  console.log(`🔀 Review the migrated content in environment "${ctfData.environment}" before switching alias "${alias.sys.id}" to it`)
+  console.log(`   (it points at "${previousEnvironment}" now)`)
+  if (!(await confirm('   Switch the alias now?'))) {
+    console.log('   Alias left as it is. Switch it later under Settings > Environments in Contentful')
+    return
+  }
+
+  alias.environment.sys.id = ctfData.environment
+  await queueRequest(() => alias.update(), 'Switching environment alias')
+  console.log(`✅ Alias "${alias.sys.id}" now points at "${ctfData.environment}"`)
+  console.log(`   "${previousEnvironment}" is kept, point the alias back at it to roll back`)
+
+  checkpoint.sandbox.previousEnvironment = previousEnvironment
+  checkpoint.sandbox.promotedAt = new Date().toISOString()
+  saveCheckpoint()
+}
+
+/**
+ * Authentication for WordPress requests from config.js: a JWT token is sent
+ * as a bearer token, a username and (Application) password as Basic auth.
+ */
+function getWordPressRequestConfig() {
+  const auth = config.wordpress.auth || {}
+
+  if (auth.token) {
+    return { headers: { Authorization: `Bearer ${auth.token}` } }
+  }
+  if (auth.username && auth.password) {
+    return { auth: { username: auth.username, password: auth.password } }
+  }
+  return {}
+}
+
+/**
+ * Fetch data with pagination support for large datasets
+ * WordPress typically limits per_page to 100, so we need to paginate for larger requests
+ * @param {String} baseUrl - WordPress REST route URL.
+ * @param {Number} totalItemsNeeded - maximum number of items, Infinity for all of them.
+ * @param {Object} params - extra query parameters (e.g. orderby).
+ */
+async function fetchDataWithPagination(baseUrl, totalItemsNeeded, params = {}) {
+  const maxPerPage = 100; // WordPress default limit
+  // Keep the page size the same on every request, otherwise pages overlap
+  const itemsToFetch = Math.min(maxPerPage, totalItemsNeeded);
+  let allData = [];
+  let page = 1;
+  let hasMorePages = true;
+  
+  console.log(`📡 Fetching ${totalItemsNeeded === Infinity ? 'all' : `up to ${totalItemsNeeded}`} items from: ${baseUrl}`)
+  
+  while (hasMorePages && allData.length < totalItemsNeeded) {
+    const query = new URLSearchParams({ ...params, per_page: itemsToFetch, page: page });
+    const url = `${baseUrl}?${query}`;
+    
+    try {
       console.log(`   📄 Page ${page}: requesting ${itemsToFetch} items...`);
-      const response = await axios.get(url);
+      const response = await queueRequest(() => axios.get(url, wp_request_config), `Fetching ${baseUrl} page ${page}`);
+      
+      if (response.data.length === 0) {
+        hasMorePages = false;
+      } else {
+        allData = allData.concat(response.data);
+        console.log(`   ✅ Page ${page}: got ${response.data.length} items (total: ${allData.length})`);
+        page++;
+        
+        // Check if we've reached the total available (from headers)
+        const totalAvailable = response.headers['x-wp-total'] ? parseInt(response.headers['x-wp-total']) : null;
+        if (totalAvailable && allData.length >= totalAvailable) {
+          hasMorePages = false;
+        }
+      }
+    } catch (error) {
+      console.error(`   ❌ Page ${page} failed: ${error.response?.status} - ${error.message}`);
+      if ([401, 403].includes(error.response?.status)) {
+        console.error('   Check wordpress.auth in your config.js, and that the user may read these posts');
+      }
+      hasMorePages = false;
+    }
+  }
+  
+  allData = allData.slice(0, totalItemsNeeded);
+  console.log(`   📊 Total fetched: ${allData.length} items`);
+  return {
+    success: allData.length > 0,
+    data: allData,
+    error: allData.length === 0 ? 'No data retrieved' : null
+  };
+}
+
+/**
+ * Post filters from config.js, with command line options taking precedence.
+ * List filters (categories, tags, author, include, exclude) are arrays of
+ * IDs and slugs.
+ */
+function getPostFilters() {
+  const filters = { ...config.wordpress.filters }
+  const options = {
+    'after': 'after',
+    'before': 'before',
+    'modified-after': 'modifiedAfter',
+    'categories': 'categories',
+    'tags': 'tags',
+    'author': 'author',
+    'include': 'include',
+    'exclude': 'exclude',
+    'orderby': 'orderby',
+    'order': 'order'
+  }
+
+  for (const [option, key] of Object.entries(options)) {
+    const arg = process.argv.find(arg => arg.startsWith(`--${option}=`))
+    if (arg) {
+      filters[key] = arg.slice(option.length + 3)
+    }
+  }
+
+  for (const key of ['categories', 'tags', 'author', 'include', 'exclude']) {
+    filters[key] = [].concat(filters[key] || []).join(',').split(',').map(value => value.trim()).filter(Boolean)
+  }
+
+  return filters
+}
+
+/**
+ * ISO 8601 date for a date filter, e.g. '2020-01-31' → '2020-01-31T00:00:00'.
+ * @param {String} value - date from config.js or the command line.
+ * @param {String} filter - filter name, for errors.
+ */
+function getFilterDate(value, filter) {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value
+
+  if (isNaN(new Date(date).getTime())) {
+    console.error(`❌ Invalid ${filter} date "${value}"! Please use YYYY-MM-DD or an ISO 8601 date`)
+    process.exit(1)
+  }
+  return date
+}
+
+/**
+ * WordPress IDs for a list of IDs and slugs, looking the slugs up on a route.
+ * @param {String} route - REST route the slugs belong to, e.g. 'categories'.
+ * @param {Array} values - IDs and slugs.
+ * @param {Object} params - extra query parameters (e.g. status).
+ */
+async function resolveFilterIds(route, values, params = {}) {
+  const ids = values.filter(value => /^\d+$/.test(value)).map(Number)
+  const slugs = values.filter(value => !/^\d+$/.test(value))
+  let found = []
+
+  if (slugs.length > 0) {
+    const result = await fetchDataWithPagination(`${wpEndpoint}${route}`, Infinity, {
+      ...params,
+      slug: slugs.join(','),
+      _fields: 'id,slug'
+    })
+    found = result.data
+  }
+
+  return {
+    ids: ids.concat(found.map(({ id }) => id)),
+    missing: slugs.filter(slug => !found.find(item => item.slug === slug))
+  }
+}
+
+/**
+ * WordPress query parameters for the post filters, per content route. Slugs
+ * are looked up as IDs first. A route is null when none of its posts are in
+ * the include filter, so nothing is fetched from it.
+ */
+async function getPostFilterParams() {
+  const params = {}
+  const paramsByRoute = {}
+
+  if (post_filters.after) {
+    params.after = getFilterDate(post_filters.after, 'after')
+  }
+  if (post_filters.before) {
+    params.before = getFilterDate(post_filters.before, 'before')
+  }
+  if (post_filters.modifiedAfter) {
+    params.modified_after = getFilterDate(post_filters.modifiedAfter, 'modified after')
+  }
+  if (post_filters.orderby) {
+    params.orderby = post_filters.orderby
+  }
+  if (post_filters.order) {
+    params.order = post_filters.order
+  }
+
+  // WordPress compares modified_after in the site's timezone, so ask for a
+  // day more and let modified_gmt decide once the posts are fetched
+  if (sync_mode) {
+    params.modified_after = new Date(new Date(lastRun.startedAt).getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 19)
+    params.orderby = 'modified'
+  }
+
+  for (const [filter, route] of [['categories', 'categories'], ['tags', 'tags'], ['author', 'users']]) {
+    if (post_filters[filter].length === 0) {
+      continue
+    }
+
+    const { ids, missing } = await resolveFilterIds(route, post_filters[filter])
+    if (missing.length > 0) {
+      console.log(`⚠️  No ${route} found for ${filter} filter: ${missing.join(', ')}`)
+    }
+    // An empty filter would let every post through
+    if (ids.length === 0) {
+      console.error(`❌ Nothing matches the ${filter} filter, so no posts would be migrated`)
+      process.exit(1)
+    }
+    params[filter] = ids.join(',')
+  }
+
+  // Post slugs are only unique within their post type, so they're looked up per route
+  const unmatched = { include: [...post_filters.include], exclude: [...post_filters.exclude] }
+  for (const { route } of contentRoutes) {
+    paramsByRoute[route] = { ...params }
+
+    for (const filter of ['include', 'exclude']) {
+      if (post_filters[filter].length === 0) {
+        continue
+      }
+
+      const { ids, missing } = await resolveFilterIds(route, post_filters[filter], wp_post_params)
+      unmatched[filter] = unmatched[filter].filter(value => /^\d+$/.test(value) || missing.includes(value))
+      if (ids.length > 0) {
+        paramsByRoute[route][filter] = ids.join(',')
+      } else if (filter === 'include') {
+        paramsByRoute[route] = null
+        break
+      }
+    }
+  }
+
+  for (const filter of ['include', 'exclude']) {
+    const missingSlugs = unmatched[filter].filter(value => !/^\d+$/.test(value))
+    if (missingSlugs.length > 0) {
+      console.log(`⚠️  No posts found for ${filter} filter: ${missingSlugs.join(', ')}`)
+    }
+  }
+
+  return paramsByRoute
+}
+
+/**
+ * Check how many posts are available in WordPress before starting migration
+ * @param {Object} filterParams - post filter query parameters per content route.
+ */
+async function checkWordPressPostCount(filterParams) {
+  console.log('🔍 Checking WordPress post availability...')
+  console.log(`📊 WordPress site stats:`)
+
+  for (const { route, importCount } of contentRoutes) {
+    if (!filterParams[route]) {
+      console.log(`   ${route}: none in the include filter`)
+      continue
+    }
+
+    try {
+      // Use a small request to get headers with total counts
+      const query = new URLSearchParams({ ...wp_post_params, ...filterParams[route], per_page: 1 })
+      const response = await queueRequest(() => axios.get(`${wpEndpoint}${route}?${query}`, wp_request_config), `Checking ${route} count`)
+      const totalPosts = response.headers['x-wp-total'] ? parseInt(response.headers['x-wp-total']) : 'unknown'
+      const totalPages = response.headers['x-wp-totalpages'] ? parseInt(response.headers['x-wp-totalpages']) : 'unknown'
+
+      console.log(`   ${route}:`)
+      const filtered = Object.keys(filterParams[route]).some(param => !['orderby', 'order'].includes(param))
+      console.log(`     Total ${wp_post_params.status || 'published'}${filtered ? ' matching the filters' : ''}: ${totalPosts}`)
+      console.log(`     Total pages available: ${totalPages}`)
+      console.log(`     Requested to import: ${importCount === Infinity ? 'all' : importCount}`)
+
+      if (totalPosts !== 'unknown' && totalPosts < importCount && importCount !== Infinity) {
+        console.log(`⚠️  Note: You requested ${importCount} ${route}, but only ${totalPosts} are available.`)
+        console.log(`   The migration will process all ${totalPosts} available ${route}.`)
+      }
+
+      if (importCount > 100) {
+        console.log(`📝 Large dataset detected - will use pagination to fetch ${importCount === Infinity ? 'all' : importCount} ${route}`)
+      }
+
+    } catch (error) {
+      console.log(`⚠️  Could not check ${route} count (${error.message}), proceeding with migration...`)
+    }
+  }
+}
+
+/**
+ * WordPress IDs of a post's translations by language, from the Polylang
+ * (translations) or WPML (wpml_translations) fields of the REST response.
+ * @param {Object} postData - WordPress post.
+ */
+function getTranslationIds(postData) {
+  let translationIds = {}
+
+  if (translation_settings.plugin === 'wpml') {
+    for (const translation of postData.wpml_translations || []) {
+      // WPML gives locales (de_DE), config.js may use either form
+      const language = Object.keys(translation_settings.languages).find((language) => {
+        return translation.locale === language || translation.locale.split('_')[0] === language
+      })
+      if (language) {
+        translationIds[language] = translation.id
+      }
+    }
+  } else {
+    for (const [language, id] of Object.entries(postData.translations || {})) {
+      if (translation_settings.languages[language] && id !== postData.id) {
+        translationIds[language] = id
+      }
+    }
+  }
+
+  return translationIds
+}
+
+/**
+ * Fetch the translations of the posts we're migrating, one language at a
+ * time, by the IDs their source posts list.
+ */
+async function fetchTranslations() {
+  if (!translation_settings.enabled) {
+    return
+  }
+
+  console.log(`🌍 Fetching translations...`)
+
+  for (const { route } of contentRoutes) {
+    const apiItems = apiData.find(item => item.endpoint === route && item.success)
+    if (!apiItems) {
+      continue
+    }
+
+    for (const language of Object.keys(translation_settings.languages)) {
+      const translationIds = apiItems.data.map(postData => getTranslationIds(postData)[language]).filter(Boolean)
+      const translatedPosts = await fetchDataByIds(route, translationIds, { ...wp_post_params, lang: language })
+
+      for (const postData of apiItems.data) {
+        const translatedPost = translatedPosts.find(({ id }) => id === getTranslationIds(postData)[language])
+        if (translatedPost) {
+          apiTranslations[postData.id] = { ...apiTranslations[postData.id], [language]: translatedPost }
+        }
+      }
+
+      console.log(`   ${route}: ${translatedPosts.length} ${language} translation(s)`)
+    }
+  }
+  console.log(logSeparator)
+}
+
+/**
+ * Fetch items of a route by ID, in batches of as many as WordPress returns
+ * per page.
+ * @param {String} route - WordPress REST route, e.g. 'media'.
+ * @param {Array} ids - WordPress IDs.
+ * @param {Object} params - extra query parameters (e.g. lang).
+ */
+async function fetchDataByIds(route, ids, params = {}) {
+  const batchSize = 100
+  let data = []
+
+  for (let i = 0; i < ids.length; i += batchSize) {
+    const result = await fetchDataWithPagination(`${wpEndpoint}${route}`, batchSize, {
+      ...params,
+      include: ids.slice(i, i + batchSize).join(',')
+    })
+    data = data.concat(result.data)
+  }
+
+  return data
+}
+
+/**
+ * WordPress IDs of the media a post uses: asset-link fields (such as the
+ * featured image) and images from the media library in its HTML.
+ * @param {Object} postData - WordPress post.
+ * @param {Object} contentRoute - the content route the post belongs to.
+ */
+function getReferencedMediaIds(postData, contentRoute) {
+  let mediaIds = []
+
+  for (const { source } of contentRoute.fields.filter(({ transform }) => transform === 'asset-link')) {
+    for (const value of [].concat(getSourceValue(postData, source) || [])) {
+      const mediaId = typeof value === 'object' && value !== null ? (value.ID || value.id) : value
+      if (/^\d+$/.test(mediaId) && parseInt(mediaId) > 0) {
+        mediaIds.push(parseInt(mediaId))
+      }
+    }
+  }
+
+  const imageClassRegex = /wp-image-(\d+)/g
+  const html = getMappedHtml(postData, contentRoute)
+  let foundClass
+  while (foundClass = imageClassRegex.exec(html)) {
+    mediaIds.push(parseInt(foundClass[1]))
+  }
+
+  // Gallery shortcodes only list their media IDs
+  if (shortcode_settings.enabled) {
+    mediaIds = mediaIds.concat(getShortcodeMediaIds(findShortcodes(html)))
+  }
+
+  return mediaIds
+}
+
+/**
+ * Fetch exactly the media, tags, categories (with their ancestors) and
+ * users the fetched posts and their translations reference, however many
+ * the site has.
+ */
+async function fetchReferencedData() {
+  const references = { media: new Set(), tags: new Set(), categories: new Set(), users: new Set() }
+
+  console.log(`📎 Fetching media, terms and authors used by the posts...`)
+
+  for (const contentRoute of contentRoutes) {
+    const apiItems = apiData.find(item => item.endpoint === contentRoute.route && item.success)
+    if (!apiItems) {
+      continue
+    }
+
+    const translations = apiItems.data.map(postData => Object.values(apiTranslations[postData.id] || {}))
+    for (const postData of apiItems.data.concat(...translations)) {
+      getReferencedMediaIds(postData, contentRoute).forEach(mediaId => references.media.add(mediaId))
+
+      // Read from the fields these are mapped to, as buildEntryFields does
+      for (const [endpoint, transform] of [['tags', 'tags'], ['categories', 'categories'], ['users', 'author']]) {
+        const mapping = contentRoute.fields.find(mapping => mapping.transform === transform)
+        const ids = [].concat(getSourceValue(postData, mapping ? mapping.source : transform) || [])
+        ids.filter(id => parseInt(id) > 0).forEach(id => references[endpoint].add(parseInt(id)))
+      }
+    }
+  }
+
+  for (const [endpoint, ids] of Object.entries(references)) {
+    let data = await fetchDataByIds(endpoint, [...ids])
+
+    // Parent categories are needed for the hierarchy, even without posts of their own
+    let parentIds = endpoint === 'categories' ? getMissingParentIds(data) : []
+    while (parentIds.length > 0) {
+      const parents = await fetchDataByIds(endpoint, parentIds)
+      data = data.concat(parents)
+      parentIds = parents.length > 0 ? getMissingParentIds(data) : []
+    }
+
+    const missing = [...ids].filter(id => !data.find(item => item.id === id))
+    if (missing.length > 0) {
+      console.log(`   ⚠️  ${missing.length} ${endpoint} not found in WordPress: ${missing.join(', ')}`)
+    }
+    console.log(`   ${endpoint}: ${data.length}`)
+
+    apiData.push({
+      success: data.length > 0 || ids.size === 0,
+      data: data,
+      error: data.length === 0 && ids.size > 0 ? 'No data retrieved' : null,
+      endpoint: endpoint
+    })
+  }
+
+  // Reusable blocks only appear as a reference in the raw markup
+  if (block_settings.enabled) {
+    await fetchReusableBlocks()
+  }
+  console.log(logSeparator)
+}
+
+/**
+ * Parent IDs of terms that aren't among them yet.
+ * @param {Array} terms - WordPress terms.
+ */
+function getMissingParentIds(terms) {
+  const parentIds = terms.map(term => term.parent).filter(parent => parent > 0 && !terms.find(term => term.id === parent))
+  return [...new Set(parentIds)]
+}
+
+function migrateContent() {
+  let promises = [];
+
+  console.log(logSeparator)
+  console.log(`🚀 Starting WordPress to Contentful Migration`)
+  console.log(logSeparator)
+
+  loadCheckpoint()
+  loadManifest()
+  loadLastRun()
+
+  // First test the Contentful connection
+  testContentfulConnection().then(async () => {
+    const filterParams = await getPostFilterParams()
+
+    // Check WordPress post availability
+    await checkWordPressPostCount(filterParams)
+    
+    console.log(logSeparator)
+    console.log(`📡 Getting WordPress API data`)
+    console.log(logSeparator)
+
+    // Posts of every content route first, what they reference follows
+    const endpoints = Object.keys(wpData);
+    const fetchPromises = [];
+    
+    for (const endpoint of endpoints) {
+      const contentRoute = contentRoutes.find(({ route }) => route === endpoint)
+
+      // Media, terms and users are fetched once we know which ones the posts use
+      if (!contentRoute) {
+        continue
+      }
+
+      if (!filterParams[endpoint]) {
+        fetchPromises.push(Promise.resolve({ success: false, data: [], error: 'None in the include filter', endpoint }))
+      } else {
+        // Use pagination for posts, pages and custom post types
+        fetchPromises.push(
+          // A sync takes every modified post, however many were migrated at first
+          fetchDataWithPagination(`${wpEndpoint}${endpoint}`, sync_mode ? Infinity : contentRoute.importCount, {
+            ...contentRoute.params,
+            ...wp_post_params,
+            ...filterParams[endpoint],
+            // Only posts in the source language, translations are fetched separately
+            ...(translation_settings.enabled && translation_settings.defaultLanguage ? { lang: translation_settings.defaultLanguage } : {})
+          })
+            .then(result => ({ ...result, endpoint }))
+        );
+      }
+    }
+
+    Promise.all(fetchPromises)
+      .then(results => {
+        apiData = results;
+
+        if (sync_mode) {
+          apiData.filter(({ endpoint }) => contentRoutes.find(({ route }) => route === endpoint)).forEach((result) => {
+            result.data = result.data.filter(postData => isModifiedSinceLastRun(postData.modified_gmt))
+          })
+        }
+        return fetchTranslations()
+      })
+      .then(() => fetchReferencedData())
+      .then(() => {
+        mapData();
+      })
+      .catch(error => {
+        console.error('❌ Error fetching WordPress data:', error.message)
+        process.exit(1)
+      })
+  })
+}
+
+/**
+ * Get our entire API response and filter it down to only show content that we want to include
+ */
+function mapData() {
+  console.log('📊 Processing API response data...')
+  
+  // Check for any failed API calls
+  const failedCalls = apiData.filter(item => !item.success)
+  if (failedCalls.length > 0) {
+    console.log('⚠️  Some API calls failed:')
+    failedCalls.forEach(failed => {
+      console.log(`   - ${failed.endpoint}: ${failed.error}`)
+    })
+  }
+
+  console.log(`📋 Successfully fetched data for: ${apiData.filter(item => item.success).map(item => item.endpoint).join(', ')}`)
+
+  console.log(`Reducing API data to only include fields we want`)
+  
+  // Reduce every content route the same way
+  for (const contentRoute of contentRoutes) {
+    const { route } = contentRoute
+    const apiItems = apiData.find(item => item.endpoint === route && item.success)
+
+    if (!apiItems || !Array.isArray(apiItems.data)) {
+      console.log(`⚠️  No ${route} data found in API response`)
+      continue
+    }
+
+    console.log(`📝 Found ${apiItems.data.length} ${route} to process`)
+
+    for (const postData of apiItems.data) {
+      console.log(`   Parsing: ${postData.slug}`)
+      wpData[route].push(mapPostFields(postData, contentRoute))
+    }
+
+    console.log(`✅ Processed ${wpData[route].length} ${route} successfully`)
+  }
+
+  // Terms are kept too, so they can become entries or tags of their own
+  for (const taxonomy of ['tags', 'categories']) {
+    const apiTerms = getApiDataType(taxonomy)[0]
+
+    wpData[taxonomy] = (apiTerms ? apiTerms.data : []).map(term => ({
+      id: term.id,
+      name: term.name,
+      slug: term.slug,
+      description: term.description || '',
+      parent: term.parent || 0
+    }))
+  }
+
+  // Authors, with their largest avatar
+  const apiUsers = getApiDataType('users')[0]
+  wpData.users = (apiUsers ? apiUsers.data : []).map(user => ({
+    id: user.id,
+    name: user.name,
+    slug: user.slug,
+    description: user.description || '',
+    url: user.url || '',
+    avatar: getAuthorAvatar(user)
+  }))
+
+  if (getMigratedPosts().length === 0 && sync_mode) {
+    console.log('✅ No posts were modified since the last run')
+    saveLastRun()
+    process.exit(0)
+  }
+
+  if (getMigratedPosts().length === 0) {
+    console.log('⚠️  No posts found to migrate')
+    console.log('This could happen if:')
+    console.log('1. All posts are drafts or private')
+    console.log('2. WordPress API is not accessible or the endpoint URL is incorrect')
+    console.log('3. A route in postTypes isn\'t registered with show_in_rest')
+    process.exit(0)
+  }
+  console.log(logSeparator)
+
+  writeDataToFile(wpData, 'wpPosts');
+  createForContentful();
+}
+
+/**
+ * Reduce a WordPress post to what the migration needs to find, order and
+ * link it. Field values are read from the original post through the
+ * content route's field mapping when its entry is built.
+ * @param {Object} postData - WordPress post or page.
+ * @param {Object} contentRoute - the content route the post belongs to.
+ */
+function mapPostFields(postData, contentRoute) {
+  const translations = apiTranslations[postData.id] || {}
+  const versions = [postData].concat(Object.values(translations))
+
+  return {
+    id: postData.id,
+    type: postData.type,
+    slug: postData.slug,
+    parent: postData.parent || 0,
+    menuOrder: postData.menu_order || 0,
+    wpPost: postData,
+    translations: translations,
+    // Translations can have images and files of their own
+    contentImages: versions.reduce((images, version) => images.concat(getPostBodyImages(version, contentRoute)), []),
+    contentFiles: versions.reduce((files, version) => files.concat(getPostBodyFiles(version, contentRoute)), [])
+  }
+}
+
+/**
+ * Normalise a field mapping from config.js into a list of Contentful field
+ * IDs with the WordPress path they read and their transform.
+ * @param {Object} fields - Contentful field ID → source path, or { source, transform }.
+ */
+function getFieldMapping(fields) {
+  return Object.entries(fields).map(([fieldId, mapping]) => {
+    const { source, transform } = typeof mapping === 'string' ? { source: mapping } : mapping
+
+    if (!source) {
+      console.error(`❌ Field "${fieldId}" in the field mapping has no source!`);
+      console.error('Please set it to a WordPress path, e.g. \'title.rendered\' or \'acf.subtitle\'');
+      process.exit(1);
+    }
+
+    if (transform && typeof transform !== 'function' && !fieldTransforms.includes(transform)) {
+      console.error(`❌ Unknown transform "${transform}" for field "${fieldId}"!`);
+      console.error(`Please use one of: ${fieldTransforms.join(', ')}, or a function`);
+      process.exit(1);
+    }
+
+    return { fieldId, source, transform }
+  })
+}
+
+/**
+ * Value at a dotted path of a WordPress post, e.g. 'title.rendered',
+ * 'meta.foo' or 'acf.bar'.
+ * @param {Object} postData - WordPress post.
+ * @param {String} source - path of the value.
+ */
+function getSourceValue(postData, source) {
+  return source.split('.').reduce((value, key) => {
+    return value === undefined || value === null ? undefined : value[key]
+  }, postData)
+}
+
+/**
+ * HTML of every field the mapping converts from HTML, which is where
+ * images and file links are looked for.
+ * @param {Object} postData - WordPress post.
+ * @param {Object} contentRoute - the content route the post belongs to.
+ */
+function getMappedHtml(postData, contentRoute) {
+  return contentRoute.fields
+    .filter(({ transform }) => transform === 'html-to-richtext' || transform === 'html-to-markdown')
+    .map(({ source }) => getSourceValue(postData, source) || '')
+    .join('\n')
+}
+
+/**
+ * Image record for a value an asset-link field reads: a media ID, a URL or
+ * a media object such as an ACF image field.
+ * @param {*} value - media ID, URL or object with an ID or URL.
+ * @param {Object} postData - WordPress post.
+ */
+function getAssetSource(value, postData) {
+  const isObject = typeof value === 'object' && value !== null
+  const mediaId = isObject ? (value.ID || value.id) : (/^\d+$/.test(value) ? value : null)
+  const mediaObj = mediaId ? getMediaRecord(parseInt(mediaId)) : undefined
+  const link = mediaObj ? mediaObj.source_url : (isObject ? value.url : (typeof value === 'string' ? value : null))
+
+  if (!link) {
+    return null
+  }
+
+  return {
+    link: link,
+    description: (mediaObj && mediaObj.alt_text) || `Featured image for post ${postData.id}`,
+    title: (mediaObj && mediaObj.alt_text) || `Featured image for post ${postData.id}`,
+    mediaId: mediaObj ? mediaObj.id : undefined,
+    mimeType: mediaObj ? mediaObj.mime_type : (isObject ? value.mime_type : undefined),
+    modifiedGmt: mediaObj ? mediaObj.modified_gmt : undefined,
+    postId: mediaObj ? mediaObj.post : postData.id,
+    featured: true
+  }
+}
+
+/**
+ * Image record for the largest avatar WordPress lists for a user.
+ * @param {Object} user - WordPress user.
+ */
+function getAuthorAvatar(user) {
+  const sizes = Object.keys(user.avatar_urls || {}).sort((a, b) => b - a)
+
+  if (sizes.length === 0) {
+    return null
+  }
+
+  return {
+    link: decodeAttributeValue(user.avatar_urls[sizes[0]]),
+    description: `Avatar of ${user.name}`,
+    title: user.name,
+    featured: false
+  }
+}
+
+/**
+ * Decode the entities in an attribute value found with a regex the way the
+ * DOM does, so it matches the value the converters see. WordPress writes
+ * `&` as `&#038;` as well as `&amp;`.
+ * @param {String} value - attribute value as it is in the HTML.
+ */
+function decodeAttributeValue(value) {
+  if (!value.includes('&')) {
+    return value
+  }
+  return domino.createDocument(`<a title="${value.replace(/"/g, '&quot;')}"></a>`).querySelector('a').getAttribute('title')
+}
+
+function getPostBodyImages(postData, contentRoute) {
+  // console.log(`- Getting content images`)
+  let imageRegex = /<img\s[^>]*?src\s*=\s*['\"]([^'\"]*?)['\"][^>]*?>/g
+  let bodyImages = []
+  const html = getMappedHtml(postData, contentRoute)
+
+  // Images that asset-link fields point to, such as the featured image
+  for (const { source } of contentRoute.fields.filter(({ transform }) => transform === 'asset-link')) {
+    for (const value of [].concat(getSourceValue(postData, source) || [])) {
+      const image = getAssetSource(value, postData)
+
+      if (image) {
+        bodyImages.push(image)
+      } else {
+        console.log(`Warning: Media ${JSON.stringify(value)} in ${source} not found for post: ${postData.slug}`)
+      }
+    }
+  }
+
+  while (foundImage = imageRegex.exec(html)) {
+    let alt = `Image from post ${postData.id}`
+
+    if (foundImage[0].includes('alt="')) {
+      alt = foundImage[0].split('alt="')[1].split('"')[0] || `Image from post ${postData.id}`
+    }
+
+    // WordPress marks images from the media library with a wp-image-{id} class
+    let mediaId = (foundImage[0].match(/wp-image-(\d+)/) || [null, null])[1]
+    let mediaObj = mediaId ? getMediaRecord(parseInt(mediaId)) : undefined
+
+    bodyImages.push({
+      // Match the decoded src the Rich Text converter sees
+      link: decodeAttributeValue(foundImage[1]),
+      description: alt,
+      title: alt,
+      mediaId: mediaId ? parseInt(mediaId) : undefined,
+      mimeType: mediaObj ? mediaObj.mime_type : undefined,
+      modifiedGmt: mediaObj ? mediaObj.modified_gmt : undefined,
+      postId: postData.id,
+      featured: false
+    })
+  }
+
+  // Gallery shortcodes only list their media IDs, their images are uploaded too
+  if (shortcode_settings.enabled) {
+    for (const mediaId of getShortcodeMediaIds(findShortcodes(html))) {
+      const mediaObj = getMediaRecord(mediaId)
+      if (!mediaObj) {
+        continue
+      }
+
+      bodyImages.push({
+        link: mediaObj.source_url,
+        description: mediaObj.alt_text || `Image from post ${postData.id}`,
+        title: mediaObj.alt_text || `Image from post ${postData.id}`,
+        mediaId: mediaId,
+        mimeType: mediaObj.mime_type,
+        modifiedGmt: mediaObj.modified_gmt,
+        postId: postData.id,
+        featured: false
+      })
+    }
+  }
+  return bodyImages
+}
+
+/**
+ * Find the PDFs, audio and video files uploaded to WordPress that a post
+ * links to or embeds, so they can be migrated as assets too.
+ * @param {Object} postData - WordPress post.
+ * @param {Object} contentRoute - the content route the post belongs to.
+ */
+function getPostBodyFiles(postData, contentRoute) {
+  let fileRegex = /<(?:a|audio|video|source)\s(?:[^>]*?\s)?(?:href|src)\s*=\s*['\"]([^'\"]*?)['\"][^>]*?>/g
+  let bodyFiles = []
+  let foundFile
+  const html = getMappedHtml(postData, contentRoute)
+
+  while (foundFile = fileRegex.exec(html)) {
+    let link = decodeAttributeValue(foundFile[1])
+    let mimeType = mime.lookup(getAssetFileName(link))
+
+    if (!link.includes('/wp-content/uploads/') || !isMigratedFileType(mimeType)) {
+      continue
+    }
+
+    if (!bodyFiles.find(file => file.link === link)) {
+      bodyFiles.push({
+        link: link,
+        description: `File from post ${postData.id}`,
+        title: getAssetFileName(link),
+        mimeType: mimeType,
+        postId: postData.id,
+        featured: false
+      })
+    }
+  }
+  return bodyFiles
+}
+
+/**
+ * Non-image file types that are migrated when a post links to them.
+ * @param {String} mimeType - MIME type of the file.
+ */
+function isMigratedFileType(mimeType) {
+  return !!mimeType && (mimeType === 'application/pdf' || mimeType.startsWith('audio/') || mimeType.startsWith('video/'))
+}
+
+/**
+ * Find a WordPress media record by ID in the fetched media data.
+ * @param {Number} mediaId - WordPress media ID.
+ */
+function getMediaRecord(mediaId) {
+  let mediaData = getApiDataType('media')[0]
+  return mediaData ? mediaData.data.find(obj => obj.id === mediaId) : undefined
+}
+
+function getPostLabels(postItems, labelType) {
+  let labels = []
+  let apiTag = getApiDataType(labelType)[0];
+
+  // Add safety check for apiTag
+  if (!apiTag || !apiTag.data) {
+    console.log(`Warning: No ${labelType} data found`);
+    return labels;
+  }
+
+  for (const labelId of postItems) {
+    let labelName = apiTag.data.filter(obj => {
+      if (obj.id === labelId) {
+        return obj.name
+      }
+    });
+
+    // Add safety check for labelName array
+    if (labelName.length > 0 && labelName[0] && labelName[0].name) {
+      labels.push(labelName[0].name)
+    } else {
+      console.log(`Warning: ${labelType} with ID ${labelId} not found`);
+    }
+  }
+
+  return labels
+}
+
+/**
+ * Helper function to get a specific data tree for a type of resource.
+ * @param {String} resourceName - specific type of WP endpoint (e.g. posts, media)
+ */
+function getApiDataType(resourceName) {
+  let apiType = apiData.filter(obj => {
+    if (obj && obj.endpoint === resourceName && obj.success) {
+      return obj
+    }
+  });
+  
+  if (apiType.length === 0) {
+    console.log(`⚠️  No data found for resource type: ${resourceName}`)
+    return []
+  }
+  
+  return apiType
+}
+
+/**
+ * Write all exported WP data to its own JSON file.
+ * @param {Object} dataTree - JSON body of WordPress data
+ * @param {*} dataType - type of WordPress API endpoint.
+ */
+function writeDataToFile(dataTree, dataType) {
+  console.log(`Writing data to a file`)
+
+  fs.writeFile(`./${dataType}.json`, JSON.stringify(dataTree, null, 2), (err) => {
+    if (err) {
+      console.error(err);
+      return;
+    };
+    console.log(`...Done!`)
+    console.log(logSeparator)
+  });
+}
+
+/**
+ * Load the checkpoint of an interrupted run when resuming, otherwise start a new one.
+ * The target space, environment and content type must match the previous run.
+ */
+function loadCheckpoint() {
+  const target = {
+    spaceId: ctfData.spaceId,
+    environment: ctfData.environment,
+    contentType: contentful_content_type
+  }
+  const hasCheckpoint = fs.existsSync(checkpointFile)
+
+  if (resume_migration && hasCheckpoint) {
+    checkpoint = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'))
+
+    const mismatch = Object.keys(target).filter(key => checkpoint.target[key] !== target[key])
+    if (mismatch.length > 0) {
+      console.error(`❌ Checkpoint in ${checkpointFile} was written for a different target (${mismatch.join(', ')})`)
+      console.error('Restore the previous config.js values, or run without --resume to start over.')
+      process.exit(1)
+    }
+
+    console.log(`♻️  Resuming migration started at ${checkpoint.startedAt}`)
+    console.log(`   Already published: ${Object.keys(checkpoint.posts).filter(isPostCompleted).length} posts, ${Object.keys(checkpoint.assets).length} assets`)
+    console.log(logSeparator)
+    return
+  }
+
+  if (resume_migration) {
+    console.log(`⚠️  No checkpoint found at ${checkpointFile}, starting a new migration`)
+  } else if (!dry_run && hasCheckpoint && !JSON.parse(fs.readFileSync(checkpointFile, 'utf8')).completedAt) {
+    console.log(`⚠️  Found an unfinished migration in ${checkpointFile}, starting over`)
+    console.log('   Run with --resume (npm run migrate:resume) to continue it instead.')
+  }
+
+  checkpoint = {
+    runId: new Date().toISOString().slice(0, 19).replace(/\D/g, ''),
+    startedAt: new Date().toISOString(),
+    updatedAt: null,
+    completedAt: null,
+    target: target,
+    posts: {},
+    assets: {}
+  }
+  saveCheckpoint()
+}
+
+/**
+ * Persist the checkpoint. Written synchronously to a temporary file and renamed
+ * so a crash never leaves a half-written checkpoint behind.
+ */
+function saveCheckpoint() {
+  // A dry run publishes nothing, so there's no progress to record
+  if (dry_run) {
+    return
+  }
+
+  checkpoint.updatedAt = new Date().toISOString()
+  fs.writeFileSync(`${checkpointFile}.tmp`, JSON.stringify(checkpoint, null, 2))
+  fs.renameSync(`${checkpointFile}.tmp`, checkpointFile)
+}
+
+/**
+ * Start the manifest of this run, or continue the one of the run being
+ * resumed. Checkpoints of older versions get a run ID here. The file is
+ * only written once something was created, so runs that stop early or
+ * have nothing to do don't hide the last real run from the rollback.
+ */
+function loadManifest() {
+  // A dry run creates nothing, so there's nothing to roll back
+  if (dry_run) {
+    return
+  }
+
+  if (!checkpoint.runId) {
+    checkpoint.runId = new Date(checkpoint.startedAt).toISOString().slice(0, 19).replace(/\D/g, '')
+    saveCheckpoint()
+  }
+
+  const manifestFile = `${manifestDir}/${checkpoint.runId}.json`
+  if (fs.existsSync(manifestFile)) {
+    manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'))
+    return
+  }
+
+  manifest = {
+    runId: checkpoint.runId,
+    startedAt: checkpoint.startedAt,
+    target: checkpoint.target,
+    items: []
+  }
+}
+
+/**
+ * Persist the manifest, the same way as the checkpoint, once it lists
+ * anything.
+ */
+function saveManifest() {
+  if (!manifest || manifest.items.length === 0) {
+    return
+  }
+
+  const manifestFile = `${manifestDir}/${manifest.runId}.json`
+  fs.mkdirSync(manifestDir, { recursive: true })
+  fs.writeFileSync(`${manifestFile}.tmp`, JSON.stringify(manifest, null, 2))
+  fs.renameSync(`${manifestFile}.tmp`, manifestFile)
+}
+
+/**
+ * Add an asset or entry this run created to its manifest, as soon as it
+ * exists, so a run that fails part-way can be rolled back too.
+ * @param {Object} item - { type: 'Asset' or 'Entry', id, contentType, wordpressId, sourceUrl }.
+ */
+function recordCreated(item) {
+  if (!manifest) {
+    return
+  }
+
+  if (manifest.items.length === 0) {
+    console.log(`🧾 Recording created assets and entries in ${manifestDir}/${manifest.runId}.json`)
+  }
+  manifest.items.push({ ...item, createdAt: new Date().toISOString() })
+  saveManifest()
+}
+
+/**
+ * Unpublish and delete the assets and entries a run created, after
+ * confirmation. Entries go first, newest first, so posts go before the
+ * terms, authors and parent pages they link to, and assets last.
+ */
+async function rollbackRun() {
+  const runId = rollback_run.split('=')[1]
+  const manifestFiles = fs.existsSync(manifestDir)
+    ? fs.readdirSync(manifestDir).filter(file => file.endsWith('.json')).sort()
+    : []
+
+  // Without a run ID, the newest run that created something and wasn't rolled back yet
+  const manifestFile = runId ? `${runId}.json` : manifestFiles.slice().reverse().find((file) => {
+    const fileManifest = JSON.parse(fs.readFileSync(`${manifestDir}/${file}`, 'utf8'))
+    return fileManifest.items.length > 0 && !fileManifest.rolledBackAt
+  })
+
+  if (!manifestFile || !manifestFiles.includes(manifestFile)) {
+    console.error(`❌ No manifest found in ${manifestDir} for ${runId ? `run ${runId}` : 'a run with something left to roll back'}`)
+    if (manifestFiles.length > 0) {
+      console.error(`Runs with a manifest: ${manifestFiles.map(file => path.basename(file, '.json')).join(', ')}`)
+    }
+    process.exit(1)
+  }
+
+  const runManifest = JSON.parse(fs.readFileSync(`${manifestDir}/${manifestFile}`, 'utf8'))
+  const entries = runManifest.items.filter(item => item.type === 'Entry').reverse()
+  const assets = runManifest.items.filter(item => item.type === 'Asset').reverse()
+
+  console.log(logSeparator)
+  console.log(`⏪ Rolling back run ${runManifest.runId}, started at ${runManifest.startedAt}`)
+  console.log(`   Space: ${runManifest.target.spaceId}, environment: ${runManifest.target.environment}`)
+  console.log(`   ${entries.length} entries and ${assets.length} assets were created by it`)
+  if (runManifest.rolledBackAt) {
+    console.log(`   ⚠️  It was already rolled back at ${runManifest.rolledBackAt}`)
+  }
+  console.log(logSeparator)
+
+  if (entries.length + assets.length === 0) {
+    console.log('✅ Nothing to roll back.')
+    return
+  }
+
+  if (!(await confirm(`Unpublish and delete these ${entries.length} entries and ${assets.length} assets?`))) {
+    console.log('Nothing was deleted.')
+    return
+  }
+
+  const space = await queueRequest(() => ctfClient.getSpace(runManifest.target.spaceId), 'Getting space')
+  const environment = await queueRequest(() => space.getEnvironment(runManifest.target.environment), 'Getting environment')
+  const runEntryIds = entries.map(item => item.id)
+  let failedCount = 0
+  let keptCount = 0
+
+  for (const item of entries.concat(assets)) {
+    const label = `${item.type === 'Asset' ? 'asset' : item.contentType} ${item.id}`
+
+    try {
+      let entity = await queueRequest(
+        () => item.type === 'Asset' ? environment.getAsset(item.id) : environment.getEntry(item.id),
+        `Getting ${label}`
+      )
+
+      // Terms, authors and media are shared, so other runs' posts may link to them
+      const linkingEntries = (await queueRequest(() => environment.getEntries({
+        [item.type === 'Asset' ? 'links_to_asset' : 'links_to_entry']: item.id,
+        limit: 1000
+      }), `Finding entries linking to ${label}`)).items.filter(entry => !runEntryIds.includes(entry.sys.id))
+      if (linkingEntries.length > 0) {
+        console.log(`   ⏭️  Keeping ${label}, ${linkingEntries.length} entries of other runs link to it`)
+        keptCount++
+        continue
+      }
+
+      // Otherwise a scheduled publish would bring nothing back but an error
+      if (item.type === 'Entry') {
+        const scheduledActions = await queueRequest(() => space.getScheduledActions({
+          'environment.sys.id': environment.sys.id,
+          'entity.sys.id': item.id,
+          'sys.status': 'scheduled'
+        }), `Getting scheduled actions for ${label}`)
+        for (const scheduledAction of scheduledActions.items) {
+          await queueRequest(() => scheduledAction.delete(), `Cancelling scheduled ${scheduledAction.action} of ${label}`)
+          console.log(`   ⏰ Cancelled the scheduled ${scheduledAction.action} of ${label}`)
+        }
+      }
+
+      if (entity.isPublished()) {
+        entity = await queueRequest(() => entity.unpublish(), `Unpublishing ${label}`)
+      }
+      await queueRequest(() => entity.delete(), `Deleting ${label}`)
+      console.log(`   🗑️  Deleted ${label}`)
+    } catch (error) {
+      if (error.name === 'NotFound' || error.response?.status === 404) {
+        console.log(`   ⏭️  ${label} no longer exists`)
+        continue
+      }
+      console.error(`   ❌ Failed to delete ${label}: ${error.message}`)
+      failedCount++
+    }
+  }
+
+  console.log(logSeparator)
+  if (failedCount > 0) {
+    console.log(`⚠️  ${failedCount} item(s) couldn't be deleted. Run the rollback again to retry them.`)
+  } else {
+    runManifest.rolledBackAt = new Date().toISOString()
+    fs.writeFileSync(`${manifestDir}/${manifestFile}`, JSON.stringify(runManifest, null, 2))
+    console.log(`✅ Run ${runManifest.runId} was rolled back.`)
+    if (keptCount > 0) {
+      console.log(`   ${keptCount} item(s) other runs' entries link to were kept.`)
+    }
+  }
+  console.log(logSeparator)
+}
+
+/**
+ * Load the last successful run when syncing. It must have migrated into the
+ * same space, environment and content type as this one.
+ */
+function loadLastRun() {
+  if (!sync_mode) {
+    return
+  }
+
+  if (!fs.existsSync(lastRunFile)) {
+    console.error(`❌ No successful run recorded in ${lastRunFile}`)
+    console.error('Run a full migration (npm run migrate) before syncing changes.')
+    process.exit(1)
+  }
+
+  lastRun = JSON.parse(fs.readFileSync(lastRunFile, 'utf8'))
+
+  const mismatch = Object.keys(checkpoint.target).filter(key => lastRun.target[key] !== checkpoint.target[key])
+  if (mismatch.length > 0) {
+    console.error(`❌ The last run in ${lastRunFile} migrated into a different target (${mismatch.join(', ')})`)
+    console.error('Restore the previous config.js values, or run a full migration instead of syncing.')
+    process.exit(1)
+  }
+
+  console.log(`🔁 Syncing posts modified since ${lastRun.startedAt}`)
+  console.log(logSeparator)
+}
+
+/**
+ * Record this run as the last successful one. The next sync fetches changes
+ * from when it started, so nothing changed while it ran is missed.
+ */
+function saveLastRun() {
+  if (dry_run) {
+    return
+  }
+
+  fs.writeFileSync(lastRunFile, JSON.stringify({
+    target: checkpoint.target,
+    startedAt: checkpoint.startedAt,
+    completedAt: new Date().toISOString(),
+    sync: sync_mode
+  }, null, 2))
+}
+
+/**
+ * Whether a WordPress item was modified after the last successful run
+ * started. Always true outside of a sync.
+ * @param {String} modifiedGmt - WordPress modified_gmt date.
+ */
+function isModifiedSinceLastRun(modifiedGmt) {
+  if (!lastRun) {
+    return true
+  }
+  return !modifiedGmt || new Date(getContentfulDate(modifiedGmt)) > new Date(lastRun.startedAt)
+}
+
+/**
+ * Key identifying the file behind an image, used to upload it only once and
+ * to record it in the checkpoint: its WordPress media ID when we know it,
+ * otherwise its source URL.
+ * @param {Object} contentImage - image found by getPostBodyImages.
+ */
+function getAssetKey(contentImage) {
+  return String(contentImage.mediaId || contentImage.link)
+}
+
+/**
+ * Contentful asset ID for an image. Derived from the WordPress media ID or
+ * source URL, so later runs find the asset instead of uploading it again.
+ * @param {Object} contentImage - image found by getPostBodyImages.
+ */
+function getAssetId(contentImage) {
+  if (contentImage.mediaId) {
+    return `wp-media-${contentImage.mediaId}`
+  }
+
+  return `wp-file-${crypto.createHash('sha1').update(contentImage.link).digest('hex')}`
+}
+
+/**
+ * Create Contentful Client.
+ */
+function createForContentful() {
+  console.log('🔗 Connecting to Contentful...')
+  console.log(`Space ID: ${ctfData.spaceId}`)
+  console.log(`Environment: ${ctfData.environment}`)
+  
+  queueRequest(() => ctfClient.getSpace(ctfData.spaceId), 'Getting space')
+  .then((space) => {
+    console.log('✅ Successfully connected to Contentful space')
+    // Scheduled actions are created on the space
+    contentfulData.space = space
+    return queueRequest(() => space.getEnvironment(ctfData.environment), 'Getting environment')
+  })
+  .then((environment) => {
+    console.log('✅ Successfully accessed environment')
+    return loadLocales(environment).then(() => environment)
+  })
+  .then((environment) => {
+    // First, let's check what content types exist
+    checkExistingContentTypes(environment);
+  })
+  .catch((error) => {
+    console.error('❌ Error connecting to Contentful:')
+    console.error('Status:', error.response?.status)
+    console.error('Message:', error.message)
+    console.error('Details:', error.response?.data)
+    
+    if (error.response?.status === 401) {
+      console.error('\n🔑 Authentication Error - Check your access token:')
+      console.error('1. Make sure your access token is a Content Management API token (starts with CFPAT-)')
+      console.error('2. Verify the token has the correct permissions')
+      console.error('3. Check if the token is still valid (not expired)')
+    } else if (error.response?.status === 404) {
+      console.error('\n🔍 Not Found Error:')
+      console.error('1. Check if your Space ID is correct')
+      console.error('2. Verify the environment name (usually "master")')
+      console.error('3. Make sure you have access to this space')
+    }
+    
+    process.exit(1)
+  })
+}
+
+/**
+ * Find the environment's default locale, which every field is written in,
+ * and the locales translations are written in.
+ * @param {Object} environment - Contentful Environment.
+ */
+async function loadLocales(environment) {
+  const locales = await queueRequest(() => environment.getLocales(), 'Getting locales')
+  const locale = locales.items.find(locale => locale.default)
+
+  if (locale) {
+    defaultLocale = locale.code
+  }
+  console.log(`🌍 Default locale: ${defaultLocale}`)
+
+  contentfulData.translationLocales = {}
+  if (!translation_settings.enabled) {
+    return
+  }
+
+  for (const [language, localeCode] of Object.entries(translation_settings.languages)) {
+    if (locales.items.find(locale => locale.code === localeCode)) {
+      contentfulData.translationLocales[language] = localeCode
+      console.log(`   ${language} translations → ${localeCode}`)
+    } else {
+      console.log(`   ⚠️  Locale "${localeCode}" for ${language} translations not found, leaving them out`)
+    }
+  }
+}
+
+/**
+ * Ask a yes/no question on the terminal. --yes answers it for unattended runs.
+ * @param {String} question - what is about to happen.
+ */
+function confirm(question) {
+  if (assume_yes) {
+    return Promise.resolve(true)
+  }
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout })
+  return new Promise((resolve) => {
+    prompt.question(`${question} (y/N) `, (answer) => {
+      resolve(/^y(es)?$/i.test(answer.trim()))
+      prompt.close()
+    })
+    // No terminal to answer on counts as no
+    prompt.on('close', () => resolve(false))
+  })
+}
+
+/**
+ * Readable name for a Contentful ID, e.g. 'publishDate' → 'Publish Date'.
+ * @param {String} id - content type or field ID.
+ */
+function getDisplayName(id) {
+  return id.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/^./, letter => letter.toUpperCase())
+}
+
+/**
+ * Contentful field for a field mapping, typed after what its transform writes.
+ * Tags, categories and authors get the text types, which need no other
+ * content types.
+ * @param {Object} mapping - { fieldId, source, transform } from the field mapping.
+ */
+function getFieldDefinition({ fieldId, source, transform }) {
+  const field = {
+    id: fieldId,
+    name: getDisplayName(fieldId),
+    type: 'Symbol',
+    localized: translation_settings.enabled && !['tags', 'categories', 'author', 'reference'].includes(transform),
+    required: false
+  }
+
+  switch (transform) {
+    case 'html-to-richtext':
+      field.type = 'RichText'
+      break
+    case 'html-to-markdown':
+      field.type = 'Text'
+      break
+    case 'date':
+      field.type = 'Date'
+      break
+    case 'asset-link':
+      field.type = 'Link'
+      field.linkType = 'Asset'
+      break
+    case 'reference':
+      field.type = 'Array'
+      field.items = { type: 'Link', linkType: 'Entry' }
+      break
+    case 'tags':
+    case 'categories':
+      field.type = 'Array'
+      field.items = { type: 'Symbol' }
+      break
+  }
+
+  // Titles often repeat in WordPress, only slugs have to be unique
+  if (field.type === 'Symbol' && source === 'slug') {
+    field.validations = [{ unique: true }]
+  }
+
+  return field
+}
+
+/**
+ * Fields a content type needs for every content route created as it.
+ * @param {String} contentTypeId - Contentful content type ID.
+ */
+function getProvisionedFields(contentTypeId) {
+  const fields = []
+  const addField = (field) => {
+    if (!fields.find(({ id }) => id === field.id)) {
+      fields.push(field)
+    }
+  }
+
+  for (const contentRoute of contentRoutes.filter(({ contentType }) => contentType === contentTypeId)) {
+    contentRoute.fields.forEach(mapping => addField(getFieldDefinition(mapping)))
+
+    if (wordpress_id_field) {
+      addField({ id: wordpress_id_field, name: getDisplayName(wordpress_id_field), type: 'Integer', localized: false, required: false })
+    }
+    if (contentRoute.parentField) {
+      addField({ id: contentRoute.parentField, name: getDisplayName(contentRoute.parentField), type: 'Link', linkType: 'Entry', localized: false, required: false })
+    }
+    if (contentRoute.orderField) {
+      addField({ id: contentRoute.orderField, name: getDisplayName(contentRoute.orderField), type: 'Integer', localized: false, required: false })
+    }
+  }
+
+  return fields
+}
+
+/**
+ * Short description of a field's type, e.g. 'Array of Link → Entry'.
+ * @param {Object} field - Contentful field (or its items).
+ */
+function describeFieldType(field) {
+  const type = field.type === 'Link' ? `Link → ${field.linkType}` : field.type
+  const description = field.items ? `${type} of ${describeFieldType(field.items)}` : type
+  return field.validations && field.validations.some(({ unique }) => unique) ? `${description}, unique` : description
+}
+
+/**
+ * Create and activate the content types content routes are created as when
+ * they don't exist, or add the fields their mappings need to those that do,
+ * after showing what will change. A dry run only shows it.
+ * @param {Object} environment - Contentful Environment.
+ * @param {Object} contentTypes - the environment's content types.
+ */
+async function provisionContentTypes(environment, contentTypes) {
+  const items = [...contentTypes.items]
+  const contentTypeIds = [...new Set(contentRoutes.map(({ contentType }) => contentType))]
+
+  for (const contentTypeId of contentTypeIds) {
+    const index = items.findIndex(ct => ct.sys.id === contentTypeId)
+    const existingContentType = items[index]
+    const fields = getProvisionedFields(contentTypeId)
+    const missingFields = existingContentType
+      ? fields.filter(field => !existingContentType.fields.find(({ id }) => id === field.id))
+      : fields
+
+    if (missingFields.length === 0) {
+      continue
+    }
+
+    if (existingContentType) {
+      console.log(`📐 Content type "${contentTypeId}" is missing ${missingFields.length} field(s):`)
+    } else {
+      console.log(`📐 Content type "${contentTypeId}" not found, it will be created with:`)
+    }
+    missingFields.forEach(field => console.log(`   + ${field.id} (${describeFieldType(field)})`))
+
+    // Entries are planned against the content type as it would be
+    if (dry_run) {
+      console.log('   🧪 Dry run: the content type is left as it is')
+      const plannedContentType = existingContentType
+        ? { ...existingContentType, fields: existingContentType.fields.concat(missingFields) }
+        : { sys: { id: contentTypeId }, name: getDisplayName(contentTypeId), fields }
+      items.splice(index > -1 ? index : items.length, 1, plannedContentType)
+      continue
+    }
+
+    if (!(await confirm(existingContentType ? '   Add these fields?' : '   Create this content type?'))) {
+      console.log(`   Leaving content type "${contentTypeId}" as it is`)
+      continue
+    }
+
+    let contentType
+    if (existingContentType) {
+      existingContentType.fields = existingContentType.fields.concat(missingFields)
+      contentType = await queueRequest(() => existingContentType.update(), `Updating content type ${contentTypeId}`)
+    } else {
+      const titleField = fields.find(field => field.type === 'Symbol')
+      contentType = await queueRequest(() => environment.createContentTypeWithId(contentTypeId, {
+        name: getDisplayName(contentTypeId),
+        displayField: titleField ? titleField.id : undefined,
+        fields
+      }), `Creating content type ${contentTypeId}`)
+    }
+
+    contentType = await queueRequest(() => contentType.publish(), `Activating content type ${contentTypeId}`)
+    items.splice(index > -1 ? index : items.length, 1, contentType)
+    console.log(`   ✅ Content type "${contentTypeId}" ${existingContentType ? 'updated' : 'created'} and activated`)
+  }
+
+  return { ...contentTypes, items }
+}
+
+/**
+ * Check what content types exist in the Contentful space
+ * @param {String} environment - name of Contentful environment.
+ */
+function checkExistingContentTypes(environment) {
+  console.log('🔍 Checking existing content types in Contentful space...')
+  
+  queueRequest(() => environment.getContentTypes(), 'Getting content types')
+    .then(contentTypes => provision_content_types ? provisionContentTypes(environment, contentTypes) : contentTypes)
+    .then((contentTypes) => {
+      console.log('📋 Available content types:')
+      if (contentTypes.items.length === 0) {
+        console.log('   No content types found in this space.')
+      } else {
+        contentTypes.items.forEach((contentType) => {
+          console.log(`   - ID: "${contentType.sys.id}", Name: "${contentType.name}"`)
+        })
+      }
       
-      if (response.data.length === 0) {
-        hasMorePages = false;
+      // Check if our desired content type exists
+      const targetContentType = contentTypes.items.find(ct => ct.sys.id === contentful_content_type)
+      
+      if (targetContentType) {
+        console.log(`✅ Content type "${contentful_content_type}" found. Proceeding with migration...`)
+        contentfulData.contentTypes = {}
+
+        for (const contentRoute of contentRoutes) {
+          const contentType = contentTypes.items.find(ct => ct.sys.id === contentRoute.contentType)
+
+          if (!contentType) {
+            console.log(`❌ Content type "${contentRoute.contentType}" for WordPress ${contentRoute.route} not found!`)
+            console.log('   Create it in Contentful, or change the content type for it in your config.js')
+            console.log(logSeparator)
+            process.exit(1);
+          }
+          contentfulData.contentTypes[contentType.sys.id] = contentType
+
+          if (!getEntryMatchField(contentRoute)) {
+            console.log(`❌ The field mapping for WordPress ${contentRoute.route} has no field for the slug!`)
+            console.log('   Map a field to \'slug\', or set wordpressIdField in your config.js so existing entries can be found')
+            console.log(logSeparator)
+            process.exit(1);
+          }
+
+          const requiredFields = [
+            wordpress_id_field,
+            contentRoute.parentField,
+            contentRoute.orderField,
+            ...(contentRoute.customFields ? contentRoute.fields.map(({ fieldId }) => fieldId) : [])
+          ].filter(Boolean)
+          for (const fieldId of requiredFields) {
+            if (!contentType.fields.find(field => field.id === fieldId)) {
+              console.log(`❌ Field "${fieldId}" not found on content type "${contentType.sys.id}"!`)
+              console.log('   Add it to the content type, or clear it in your config.js')
+              console.log(logSeparator)
+              process.exit(1);
+            }
+          }
+        }
+
+        // Authors linked as entries need a content type of their own
+        if (contentRoutes.some(contentRoute => getAuthorMode(contentRoute) === 'reference')) {
+          const authorContentType = contentTypes.items.find(ct => ct.sys.id === author_settings.contentType)
+          if (!authorContentType) {
+            console.log(`❌ Content type "${author_settings.contentType}" for authors not found!`)
+            console.log('   Posts link to them as entries, so create it with name and slug fields, or change it in your config.js')
+            console.log(logSeparator)
+            process.exit(1);
+          }
+          contentfulData.contentTypes[authorContentType.sys.id] = authorContentType
+        }
+
+        // Tags and categories linked as entries need content types of their own
+        for (const taxonomy of ['tags', 'categories']) {
+          if (!contentRoutes.some(contentRoute => getTaxonomyMode(contentRoute, taxonomy) === 'reference')) {
+            continue
+          }
+
+          const termContentType = contentTypes.items.find(ct => ct.sys.id === taxonomy_settings[taxonomy])
+          if (!termContentType) {
+            console.log(`❌ Content type "${taxonomy_settings[taxonomy]}" for ${taxonomy} not found!`)
+            console.log('   Posts link to them as entries, so create it with name and slug fields, or change it in your config.js')
+            console.log(logSeparator)
+            process.exit(1);
+          }
+          contentfulData.contentTypes[termContentType.sys.id] = termContentType
+        }
+
+        // Blocks and shortcodes embedded as entries need the content types their handlers name
+        contentfulData.embedContentTypes = {}
+        contentTypes.items.forEach((contentType) => { contentfulData.embedContentTypes[contentType.sys.id] = contentType })
+
+        const embedHandlers = [
+          ...Object.entries(block_settings.enabled ? block_settings.handlers : {}).map(([name, handler]) => [`${name} blocks`, handler]),
+          ...Object.entries(shortcode_settings.enabled ? shortcode_settings.handlers : {}).map(([name, handler]) => [`[${name}] shortcodes`, handler])
+        ]
+        for (const [name, handler] of embedHandlers) {
+          if (handler.contentType && !contentfulData.embedContentTypes[handler.contentType]) {
+            console.log(`❌ Content type "${handler.contentType}" for ${name} not found!`)
+            console.log('   Create it in Contentful, or change the handler in your config.js')
+            console.log(logSeparator)
+            process.exit(1);
+          }
+        }
+
+        console.log(logSeparator)
+        handleExistingEntries(environment)
+          .then(() => buildContentfulAssets(environment))
+          .catch((error) => {
+            console.error('❌ Error looking up existing entries:')
+            console.error('Status:', error.response?.status)
+            console.error('Message:', error.message)
+            process.exit(1)
+          })
+      } else {
+        console.log(`❌ Content type "${contentful_content_type}" not found!`)
+        console.log('\n📝 You need to either:')
+        console.log('1. Create a content type with the ID "' + contentful_content_type + '" in Contentful, or')
+        console.log('2. Change the contentType in your config.js to one of the existing content types above, or')
+        console.log('3. Set provisionContentTypes to true in your config.js to have it created from your field mapping')
+        console.log('\n🔧 If creating a new content type, make sure to add these fields:')
+        console.log('   - postTitle (Short text)')
+        console.log('   - slug (Short text)')
+        console.log('   - content (Long text)')
+        console.log('   - publishDate (Date & time)')
+        console.log('   - author (Short text, or a reference to author entries)')
+        console.log('   - featuredImage (Media - optional)')
+        console.log('   - tags (Short text, list - optional)')
+        console.log('   - categories (Short text, list - optional)')
+        console.log(logSeparator)
+        process.exit(1);
+      }
+    })
+    .catch((error) => {
+      console.error('❌ Error checking content types:')
+      console.error('Status:', error.response?.status)
+      console.error('Message:', error.message)
+      console.error('Details:', error.response?.data)
+      process.exit(1)
+    })
+}
+
+/**
+ * Contentful field used to match WordPress posts to existing entries.
+ * @param {Object} contentRoute - the content route the posts belong to.
+ */
+function getEntryMatchField(contentRoute) {
+  const slugMapping = contentRoute.fields.find(({ source, transform }) => source === 'slug' && !transform)
+  return wordpress_id_field || (slugMapping ? slugMapping.fieldId : null)
+}
+
+/**
+ * The content type's field a transform is mapped to, if it has that field.
+ * @param {Object} contentRoute - the content route the posts belong to.
+ * @param {String} transform - e.g. 'tags' or 'author'.
+ */
+function getTransformField(contentRoute, transform) {
+  const mapping = contentRoute.fields.find(mapping => mapping.transform === transform)
+  return mapping && contentfulData.contentTypes[contentRoute.contentType].fields.find(field => field.id === mapping.fieldId)
+}
+
+/**
+ * WordPress value read by the field a transform is mapped to, or the post
+ * property named after the transform (e.g. tags) when none is.
+ * @param {Object} post - reduced WordPress post data.
+ * @param {Object} contentRoute - the content route the post belongs to.
+ * @param {String} transform - e.g. 'tags' or 'author'.
+ */
+function getTransformSource(post, contentRoute, transform) {
+  const mapping = contentRoute.fields.find(mapping => mapping.transform === transform)
+  return getSourceValue(post.wpPost, mapping ? mapping.source : transform)
+}
+
+/**
+ * ID of the entry a WordPress post is migrated to, so links to it can be
+ * written before it's created.
+ * @param {Number} wpId - WordPress post ID.
+ */
+function getPostEntryId(wpId) {
+  return `wp-post-${wpId}`
+}
+
+/**
+ * Value of the match field for a WordPress post, as a string for lookups.
+ * @param {Object} wpPost - reduced WordPress post data.
+ */
+function getEntryMatchValue(wpPost) {
+  return String(wordpress_id_field ? wpPost.id : wpPost.slug)
+}
+
+/**
+ * Fetch the Contentful entries that already exist for the posts of a route.
+ * Lookups are batched so we don't build overly long query strings.
+ * @param {Object} environment - Contentful Environment.
+ * @param {Object} contentRoute - one of contentRoutes.
+ */
+async function findExistingEntries(environment, contentRoute) {
+  const matchField = getEntryMatchField(contentRoute)
+  const matchValues = wpData[contentRoute.route].map(getEntryMatchValue)
+  const batchSize = 50
+  let existingEntries = {}
+
+  console.log(`🔍 Looking for existing "${contentRoute.contentType}" entries by ${matchField}...`)
+
+  for (let i = 0; i < matchValues.length; i += batchSize) {
+    const batch = matchValues.slice(i, i + batchSize)
+    const response = await queueRequest(() => environment.getEntries({
+      content_type: contentRoute.contentType,
+      [`fields.${matchField}[in]`]: batch.join(','),
+      limit: batchSize
+    }), 'Looking up existing entries')
+
+    for (const entry of response.items) {
+      const value = entry.fields[matchField] && entry.fields[matchField][defaultLocale]
+      if (value !== undefined) {
+        existingEntries[String(value)] = entry
+      }
+    }
+  }
+
+  // Posts whose slug changed since they were migrated still have their entry ID
+  const unmatchedPosts = wpData[contentRoute.route].filter(post => !existingEntries[getEntryMatchValue(post)])
+  const entriesById = await findExistingEntriesById(environment, unmatchedPosts.map(post => getPostEntryId(post.id)))
+  for (const post of unmatchedPosts) {
+    const entry = entriesById[getPostEntryId(post.id)]
+    if (entry && entry.sys.contentType.sys.id === contentRoute.contentType) {
+      existingEntries[getEntryMatchValue(post)] = entry
+    }
+  }
+
+  return existingEntries
+}
+
+/**
+ * Apply the existing entry policy to posts that were already migrated.
+ * 'skip' removes them from this run, 'update' keeps them so their entries
+ * are overwritten, and 'fail' stops before anything is written.
+ * @param {Object} environment - Contentful Environment.
+ */
+async function handleExistingEntries(environment) {
+  let duplicates = []
+  contentfulData.existingEntries = {}
+
+  // Entry IDs by WordPress ID, so child pages can link to their parent
+  contentfulData.entryIds = {}
+  for (const [wpId, record] of Object.entries(checkpoint.posts)) {
+    contentfulData.entryIds[wpId] = record.entryId
+  }
+
+  for (const contentRoute of contentRoutes) {
+    const existingEntries = await findExistingEntries(environment, contentRoute)
+    contentfulData.existingEntries[contentRoute.contentType] = {
+      ...contentfulData.existingEntries[contentRoute.contentType],
+      ...existingEntries
+    }
+
+    for (const post of wpData[contentRoute.route]) {
+      const existingEntry = existingEntries[getEntryMatchValue(post)]
+      if (!existingEntry) {
+        continue
+      }
+
+      contentfulData.entryIds[post.id] = existingEntry.sys.id
+
+      // Entries created by the run we're resuming are ours, not duplicates.
+      // Those it didn't get to publish are updated and published again.
+      if (!isOwnEntry(post, existingEntry)) {
+        duplicates.push({ post, route: contentRoute.route, entryId: existingEntry.sys.id })
+      }
+    }
+  }
+
+  if (duplicates.length === 0) {
+    console.log('✅ No existing entries found, all posts will be created')
+    console.log(logSeparator)
+    return
+  }
+
+  console.log(`⚠️  ${duplicates.length} post(s) already exist in Contentful:`)
+  duplicates.forEach(({ post, route, entryId }) => {
+    console.log(`   - ${route}: ${post.slug} (entry ${entryId})`)
+  })
+
+  if (existing_entry_policy === 'fail') {
+    console.error('❌ Stopping migration because existingEntryPolicy is set to "fail"')
+    console.error('Set it to "skip" or "update" in your config.js to re-run against this space.')
+    process.exit(1)
+  }
+
+  if (existing_entry_policy === 'update') {
+    console.log('🔄 Existing entries will be updated in place')
+  } else {
+    for (const { route } of contentRoutes) {
+      wpData[route] = wpData[route].filter(post => !duplicates.find(duplicate => duplicate.post === post))
+    }
+
+    const remaining = getMigratedPosts().filter(post => !isPostCompleted(post.id)).length
+    console.log(`⏭️  Skipping ${duplicates.length} existing post(s), ${remaining} left to migrate`)
+
+    if (remaining === 0) {
+      console.log('✅ Nothing left to migrate.')
+      process.exit(0)
+    }
+  }
+  console.log(logSeparator)
+}
+
+/**
+ * Whether an existing entry was created by the run we're resuming: it's in
+ * the checkpoint, or in the run's manifest when the checkpoint wasn't
+ * written before the run stopped.
+ * @param {Object} post - reduced WordPress post data.
+ * @param {Object} entry - the post's existing Contentful entry.
+ */
+function isOwnEntry(post, entry) {
+  return !!checkpoint.posts[post.id] ||
+    !!(manifest && manifest.items.find(item => item.type === 'Entry' && item.id === entry.sys.id))
+}
+
+/**
+ * Whether the run we're resuming created and published (or scheduled, or
+ * left as a draft) a post's entry. Checkpoints of older versions only
+ * list finished posts.
+ * @param {Number} wpId - WordPress post ID.
+ */
+function isPostCompleted(wpId) {
+  return !!checkpoint.posts[wpId] && checkpoint.posts[wpId].published !== false
+}
+
+/**
+ * Every reduced WordPress post we're migrating, across all content routes.
+ */
+function getMigratedPosts() {
+  return contentRoutes.reduce((posts, { route }) => posts.concat(wpData[route]), [])
+}
+
+/**
+ * Build data trees for Contentful assets.
+ * @param {String} environment - name of Contentful environment.
+ */
+function buildContentfulAssets(environment) {
+  let assetPromises = []
+  let assets = []
+  let distinctImages = {}
+
+  console.log('Building Contentful Asset Objects')
+
+  // Every distinct file becomes one asset, however many posts use it.
+  for (let [index, wpPost] of getMigratedPosts().entries()) {
+    for (const [imgIndex, contentImage] of wpPost.contentImages.concat(wpPost.contentFiles).entries()) {
+      const assetKey = getAssetKey(contentImage)
+
+      if (!distinctImages[assetKey]) {
+        // Posts often show a resized copy of a media item, upload the original
+        const mediaObj = contentImage.mediaId ? getMediaRecord(contentImage.mediaId) : undefined
+
+        distinctImages[assetKey] = {
+          contentImage: mediaObj && mediaObj.source_url ? { ...contentImage, link: mediaObj.source_url } : contentImage,
+          fallbackTitle: `Image ${imgIndex + 1} from ${wpPost.slug}`,
+          sourceUrls: mediaObj && mediaObj.source_url ? [mediaObj.source_url] : []
+        }
+      }
+      if (!distinctImages[assetKey].sourceUrls.includes(contentImage.link)) {
+        distinctImages[assetKey].sourceUrls.push(contentImage.link)
+      }
+    }
+  }
+
+  // Avatars of the authors that get entries of their own
+  if (contentfulData.contentTypes[author_settings.contentType]) {
+    const authorContentType = contentfulData.contentTypes[author_settings.contentType]
+
+    for (const author of getUsedAuthors()) {
+      if (!author.avatar || !authorContentType.fields.find(field => field.id === 'avatar')) {
+        continue
+      }
+
+      const assetKey = getAssetKey(author.avatar)
+      if (!distinctImages[assetKey]) {
+        distinctImages[assetKey] = {
+          contentImage: author.avatar,
+          fallbackTitle: `Avatar of ${author.slug}`,
+          sourceUrls: [author.avatar.link]
+        }
+      }
+    }
+  }
+
+  const imageCount = getMigratedPosts().reduce((count, wpPost) => count + wpPost.contentImages.length + wpPost.contentFiles.length, 0)
+  console.log(`🖼️  ${Object.keys(distinctImages).length} distinct file(s) used by ${imageCount} image(s) and file link(s)`)
+
+  findExistingAssets(environment, Object.values(distinctImages).map(image => getAssetId(image.contentImage)))
+    .then(async (existingAssets) => {
+      let reusedCount = 0
+
+      for (const [assetKey, { contentImage, fallbackTitle, sourceUrls }] of Object.entries(distinctImages)) {
+        const assetId = getAssetId(contentImage)
+        const existingAsset = existingAssets[assetId]
+        // Media changed in WordPress since the last sync is updated in place
+        const changedAsset = sync_mode && existingAsset && contentImage.modifiedGmt && isModifiedSinceLastRun(contentImage.modifiedGmt)
+          ? existingAsset
+          : undefined
+
+        // Uploaded by a previous run, link to it instead of uploading again
+        if (checkpoint.assets[assetKey] || (existingAsset && !changedAsset)) {
+          const existingFile = existingAsset && existingAsset.fields.file && existingAsset.fields.file[defaultLocale]
+          const assetRecord = checkpoint.assets[assetKey] || {
+            assetId: assetId,
+            fileName: existingFile && existingFile.fileName,
+            url: existingFile && existingFile.url
+          }
+          assets.push({ ...assetRecord, sourceUrls: sourceUrls })
+          reusedCount++
+
+          if (existingAsset && !existingAsset.sys.publishedVersion) {
+            console.log(`   ⚠️  Reusing asset ${assetId}, but it isn't published`)
+          }
+          continue
+        }
+
+        // Ensure title and description are always strings
+        const title = typeof contentImage.title === 'string' ? contentImage.title : fallbackTitle;
+        const description = typeof contentImage.description === 'string' ? contentImage.description : fallbackTitle;
+
+        const contentType = await getAssetContentType(contentImage)
+        let fileName = getAssetFileName(contentImage.link)
+        if (!path.extname(fileName) && mime.extension(contentType)) {
+          fileName = `${fileName}.${mime.extension(contentType)}`
+        }
+
+        let assetObj = {
+          title: {
+            [defaultLocale]: title
+          },
+          description: {
+            [defaultLocale]: description
+          },
+          file: {
+            [defaultLocale]: {
+              contentType: contentType,
+              fileName: fileName,
+              upload: getAssetUploadUrl(contentImage.link)
+            }
+          }
+        }
+
+        assetPromises.push({
+          assetId: assetId,
+          checkpointKey: assetKey,
+          sourceUrls: sourceUrls,
+          fields: assetObj,
+          existingAsset: changedAsset
+        });
+      }
+
+      if (reusedCount > 0) {
+        console.log(`♻️  Reusing ${reusedCount} asset(s) uploaded by a previous run`)
+      }
+
+      console.log(`Creating Contentful Assets...`)
+      console.log(logSeparator)
+
+      const createAssets = dry_run ? planContentfulAssets : createContentfulAssets
+
+      return createAssets(environment, assetPromises, assets)
+    })
+    .then((result) => {
+      console.log(`...Done!`)
+      console.log(logSeparator)
+
+      return getAndStoreAssets(environment, assets)
+    })
+    .catch((error) => {
+      console.error('❌ Error looking up existing assets:')
+      console.error('Status:', error.response?.status)
+      console.error('Message:', error.message)
+      process.exit(1)
+    })
+}
+
+/**
+ * Safe file name for an asset: the last path segment of its URL without
+ * query string or fragment, decoded and reduced to letters, digits, dots and dashes.
+ * @param {String} link - source URL of the file.
+ */
+function getAssetFileName(link) {
+  let fileName = link.split(/[?#]/)[0].split('/').filter(part => part.length > 0).pop() || ''
+
+  try {
+    fileName = decodeURIComponent(fileName)
+  } catch (error) {
+    // Not valid percent-encoding, use it as it is
+  }
+
+  return fileName
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^[-.]+|-+$/g, '') || 'file'
+}
+
+/**
+ * Absolute, correctly encoded URL Contentful can fetch the file from.
+ * Relative links are resolved against the WordPress site.
+ * @param {String} link - source URL of the file.
+ */
+function getAssetUploadUrl(link) {
+  return new URL(link, wpEndpoint).href
+}
+
+/**
+ * MIME type of an asset: from its WordPress media record when we have one,
+ * then from its file extension, and finally from a HEAD request.
+ * @param {Object} contentImage - image or file found in a post.
+ */
+async function getAssetContentType(contentImage) {
+  const contentType = contentImage.mimeType || mime.lookup(getAssetFileName(contentImage.link))
+  if (contentType) {
+    return contentType
+  }
+
+  try {
+    const response = await queueRequest(() => axios.head(getAssetUploadUrl(contentImage.link)), `Checking type of ${contentImage.link}`)
+    return (response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim()
+  } catch (error) {
+    console.log(`   ⚠️  Could not detect the type of ${contentImage.link} (${error.message})`)
+    return 'application/octet-stream'
+  }
+}
+
+/**
+ * Fetch the assets that already exist in Contentful for the given asset IDs.
+ * @param {Object} environment - Contentful Environment.
+ * @param {Array} assetIds - IDs from getAssetId.
+ */
+async function findExistingAssets(environment, assetIds) {
+  const batchSize = 100
+  let existingAssets = {}
+
+  for (let i = 0; i < assetIds.length; i += batchSize) {
+    const batch = assetIds.slice(i, i + batchSize)
+    const response = await queueRequest(() => environment.getAssets({
+      'sys.id[in]': batch.join(','),
+      limit: batchSize
+    }), 'Looking up existing assets')
+
+    for (const asset of response.items) {
+      existingAssets[asset.sys.id] = asset
+    }
+  }
+
+  return existingAssets
+}
+
+/**
+ * Fetch all published assets from Contentful and store in a variable.
+ * @param {String} environment - name of Contentful Environment.
+ * @param {Array} assets - Array to store assets in.
+ */
+function getAndStoreAssets(environment, assets) {
+  console.log(`Storing asset URLs in a global array to use later`)
+    // Not supported with JS? Easier to get all assets and support
+    return queueRequest(() => axios.get(`https://api.contentful.com/spaces/${ctfData.spaceId}/environments/${ctfData.environment}/public/assets`,
+    {
+      headers: {
+        'Authorization':`Bearer ${ctfData.accessToken}`
+      }
+    }), 'Fetching published assets')
+    .catch((error) => {
+      console.error('❌ Error fetching published assets:')
+      console.error('Status:', error.response?.status)
+      console.error('Message:', error.message)
+      process.exit(1)
+    })
+    .then((result) => {
+      // console.log(result)
+      contentfulData.assets = []
+      for (const item of result.data.items) {
+        contentfulData.assets.push(item.fields.file[defaultLocale].url)
+      }
+
+      // Planned assets don't exist yet, point at their WordPress source instead
+      if (dry_run) {
+        assets.forEach(asset => asset.url && contentfulData.assets.push(asset.url))
+      }
+
+      console.log(`...Done!`)
+      console.log(logSeparator)
+
+      return createContentfulPosts(environment, assets)
+    })
+    .catch((error) => {
+      console.error('❌ Error creating entries:')
+      console.error('Status:', error.response?.status)
+      console.error('Message:', error.message)
+      process.exit(1)
+    })
+}
+
+/**
+ * Create a Promise to publish all assets.
+ * Each API call goes through the shared request queue, which keeps us
+ * within the Contentful rate limits.
+ * @param {String} environment - Contentful Environment
+ * @param {Array} promises - Contentful Asset data trees with their IDs and checkpoint keys
+ * @param {Array} assets - array to store Assets in
+ */
+function createContentfulAssets(environment, promises, assets) {
+  return Promise.all(
+    promises.map(({ assetId, checkpointKey, sourceUrls, fields, existingAsset }, index) => {
+      const fileName = fields.file[defaultLocale].fileName
+
+      console.log(`🖼️  ${existingAsset ? 'Updating' : 'Creating'} asset ${index + 1}/${promises.length}: ${fileName}`)
+
+      let assetRequest
+      if (existingAsset) {
+        // Per locale, so titles and descriptions translated in Contentful are kept
+        for (const [fieldId, value] of Object.entries(fields)) {
+          existingAsset.fields[fieldId] = { ...existingAsset.fields[fieldId], ...value }
+        }
+        assetRequest = queueRequest(() => existingAsset.update(), `Updating asset ${fileName}`)
       } else {
-        allData = allData.concat(response.data);
-        console.log(`   ✅ Page ${page}: got ${response.data.length} items (total: ${allData.length})`);
-        page++;
-        
-        // Check if we've reached the total available (from headers)
-        const totalAvailable = response.headers['x-wp-total'] ? parseInt(response.headers['x-wp-total']) : null;
-        if (totalAvailable && allData.length >= totalAvailable) {
-          hasMorePages = false;
+        assetRequest = queueCreateRequest(() => environment.createAssetWithId(assetId, {
+          fields: fields
+        }), () => environment.getAsset(assetId), `Creating asset ${fileName}`)
+        .then((asset) => {
+          recordCreated({
+            type: 'Asset',
+            id: asset.sys.id,
+            wordpressId: /^\d+$/.test(checkpointKey) ? Number(checkpointKey) : undefined,
+            sourceUrl: sourceUrls[0]
+          })
+          return asset
+        })
+      }
+
+      return assetRequest
+      .then((asset) => {
+        console.log(`   ⏳ Processing: ${fileName}`)
+        return queueRequest(() => asset.processForAllLocales(), `Processing asset ${fileName}`)
+      })
+      .then((asset) => {
+        // Assets have no status of their own, only the draft policy keeps them unpublished
+        if (publish_policy === 'draft') {
+          return asset
+        }
+        console.log(`   📤 Publishing: ${fileName}`)
+        return queueRequest(() => asset.publish(), `Publishing asset ${fileName}`)
+      })
+      .then((asset) => {
+        console.log(`   ✅ ${publish_policy === 'draft' ? 'Created' : 'Published'}: ${asset.fields.file[defaultLocale].fileName}`)
+        const assetRecord = {
+          assetId: asset.sys.id,
+          fileName: asset.fields.file[defaultLocale].fileName,
+          url: asset.fields.file[defaultLocale].url,
+          sourceUrls: sourceUrls
+        }
+        assets.push(assetRecord)
+
+        checkpoint.assets[checkpointKey] = assetRecord
+        saveCheckpoint()
+        return asset
+      })
+      .catch((error) => {
+        console.error(`   ❌ Failed to ${existingAsset ? 'update' : 'create'} asset: ${fileName}`)
+        console.error('   Error:', error.message)
+        if (error.response?.data) {
+          console.error('   Details:', error.response.data)
+        }
+        // Continue with other assets even if one fails
+        return null
+      })
+    })
+  );
+}
+
+/**
+ * How a taxonomy is written to a content type, detected from the type of
+ * its field: 'text' (comma-separated Symbol), 'list' (Symbol list),
+ * 'reference' (links to term entries) or, when the content type has no
+ * field for it, 'metadata' (Contentful tags) if metadataTags is on.
+ * @param {Object} contentRoute - the content route the posts belong to.
+ * @param {String} taxonomy - 'tags' or 'categories'.
+ */
+function getTaxonomyMode(contentRoute, taxonomy) {
+  const field = getTransformField(contentRoute, taxonomy)
+
+  if (!field) {
+    return taxonomy_settings.metadataTags ? 'metadata' : null
+  }
+
+  if (field.type === 'Array') {
+    return field.items.type === 'Link' ? 'reference' : 'list'
+  }
+
+  return 'text'
+}
+
+/**
+ * Contentful entry or tag ID for a WordPress term, so each term is only
+ * created once however many runs link to it.
+ * @param {String} taxonomy - 'tags' or 'categories'.
+ * @param {Number} termId - WordPress term ID.
+ */
+function getTermId(taxonomy, termId) {
+  return `wp-${taxonomy === 'tags' ? 'tag' : 'category'}-${termId}`
+}
+
+/**
+ * Terms of a taxonomy used by posts whose content type stores it in the
+ * given mode. Categories bring their ancestors along so parent links resolve.
+ * @param {String} taxonomy - 'tags' or 'categories'.
+ * @param {String} mode - 'reference' or 'metadata'.
+ */
+function getUsedTerms(taxonomy, mode) {
+  let terms = []
+
+  for (const contentRoute of contentRoutes) {
+    if (getTaxonomyMode(contentRoute, taxonomy) !== mode) {
+      continue
+    }
+
+    for (const post of wpData[contentRoute.route]) {
+      for (const termId of [].concat(getTransformSource(post, contentRoute, taxonomy) || [])) {
+        let term = wpData[taxonomy].find(({ id }) => id === termId)
+
+        while (term && !terms.includes(term)) {
+          terms.push(term)
+          term = wpData[taxonomy].find(({ id }) => id === term.parent)
+        }
+      }
+    }
+  }
+
+  return terms
+}
+
+/**
+ * Create the tag and category entries, or Contentful tags, that posts
+ * link to. Terms created by an earlier run are reused.
+ * @param {Object} environment - Contentful Environment.
+ */
+async function createContentfulTaxonomies(environment) {
+  contentfulData.migratedTerms = {}
+
+  for (const taxonomy of ['tags', 'categories']) {
+    await createTermEntries(environment, taxonomy, getUsedTerms(taxonomy, 'reference'))
+    await createTermTags(environment, taxonomy, getUsedTerms(taxonomy, 'metadata'))
+  }
+}
+
+/**
+ * Create an entry for each term, parents before their children.
+ * @param {Object} environment - Contentful Environment.
+ * @param {String} taxonomy - 'tags' or 'categories'.
+ * @param {Array} terms - reduced WordPress terms.
+ */
+async function createTermEntries(environment, taxonomy, terms) {
+  const contentTypeId = taxonomy_settings[taxonomy]
+  const contentType = contentfulData.contentTypes[contentTypeId]
+
+  const entryIds = await createEntriesWithIds(environment, contentTypeId, terms.map(term => ({
+    id: term.id,
+    parent: term.parent,
+    slug: term.slug,
+    entryId: getTermId(taxonomy, term.id),
+    fields: buildTermFields(taxonomy, term, contentType)
+  })))
+
+  entryIds.forEach((entryId) => {
+    contentfulData.migratedTerms[entryId] = true
+  })
+}
+
+/**
+ * Create and publish entries with IDs derived from WordPress, such as term
+ * and author entries, parents before their children. Entries created by an
+ * earlier run are reused as they are, unless updateExisting is set and the
+ * existing entry policy is 'update'.
+ * @param {Object} environment - Contentful Environment.
+ * @param {String} contentTypeId - content type to create the entries as.
+ * @param {Array} records - WordPress id, parent and slug with the entry ID and fields.
+ * @param {Boolean} updateExisting - overwrite the fields of existing entries.
+ * @returns {Array} IDs of the entries that exist once done.
+ */
+async function createEntriesWithIds(environment, contentTypeId, records, updateExisting = false) {
+  let entryIds = []
+
+  if (records.length === 0) {
+    return entryIds
+  }
+
+  const existingEntries = await findExistingEntriesById(environment, records.map(record => record.entryId))
+
+  console.log(`🏷️  Creating ${records.length} ${contentTypeId} entries...`)
+
+  for (const level of getHierarchyLevels(records)) {
+    await Promise.all(level.map(({ id, slug, entryId, fields }) => {
+      const existingEntry = existingEntries[entryId]
+      const update = !!existingEntry && updateExisting && existing_entry_policy === 'update'
+
+      if (existingEntry && !update) {
+        console.log(`   ♻️  Reusing ${contentTypeId}: ${slug}`)
+        entryIds.push(entryId)
+        return null
+      }
+
+      if (dry_run) {
+        entryIds.push(entryId)
+        contentfulData.plannedEntries = (contentfulData.plannedEntries || []).concat({
+          action: update ? 'update' : 'create',
+          entryId: entryId,
+          contentType: contentTypeId,
+          wordpressId: id,
+          slug: slug,
+          fields: fields
+        })
+        return null
+      }
+
+      let entryRequest
+      if (update) {
+        existingEntry.fields = { ...existingEntry.fields, ...fields }
+        entryRequest = queueRequest(() => existingEntry.update(), `Updating ${contentTypeId} ${slug}`)
+      } else {
+        entryRequest = queueCreateRequest(() => environment.createEntryWithId(contentTypeId, entryId, {
+          fields: fields
+        }), () => environment.getEntry(entryId), `Creating ${contentTypeId} ${slug}`)
+        .then((entry) => {
+          recordCreated({ type: 'Entry', id: entry.sys.id, contentType: contentTypeId, wordpressId: id })
+          return entry
+        })
+      }
+
+      return entryRequest
+      // Terms and authors have no status of their own, only the draft policy keeps them unpublished
+      .then((entry) => publish_policy === 'draft' ? entry : queueRequest(() => entry.publish(), `Publishing ${contentTypeId} ${slug}`))
+      .then(() => {
+        console.log(`   ✅ ${contentTypeId}: ${slug}`)
+        entryIds.push(entryId)
+      })
+      .catch((error) => {
+        console.error(`   ❌ Failed to create ${contentTypeId}: ${slug}`)
+        console.error('   Error:', error.message)
+        // Posts are still migrated, just without a link to this entry
+        return null
+      })
+    }))
+  }
+
+  return entryIds
+}
+
+/**
+ * Fields of a term entry, left out where the content type doesn't have them.
+ * @param {String} taxonomy - 'tags' or 'categories'.
+ * @param {Object} term - reduced WordPress term.
+ * @param {Object} contentType - Contentful content type for the taxonomy.
+ */
+function buildTermFields(taxonomy, term, contentType) {
+  const values = {
+    name: term.name,
+    slug: term.slug,
+    description: term.description,
+    parent: term.parent > 0 ? {
+      sys: {
+        type: 'Link',
+        linkType: 'Entry',
+        id: getTermId(taxonomy, term.parent)
+      }
+    } : null
+  }
+  let fields = {}
+
+  for (const [fieldId, value] of Object.entries(values)) {
+    if (value && contentType.fields.find(field => field.id === fieldId)) {
+      fields[fieldId] = {
+        [defaultLocale]: value
+      }
+    }
+  }
+
+  return fields
+}
+
+/**
+ * Create a Contentful (metadata) tag for each term.
+ * @param {Object} environment - Contentful Environment.
+ * @param {String} taxonomy - 'tags' or 'categories'.
+ * @param {Array} terms - reduced WordPress terms.
+ */
+async function createTermTags(environment, taxonomy, terms) {
+  if (terms.length === 0) {
+    return
+  }
+
+  const existingTags = await queueRequest(() => environment.getTags({ limit: 1000 }), 'Getting tags')
+  const existingTagIds = existingTags.items.map(tag => tag.sys.id)
+
+  console.log(`🏷️  Creating Contentful tags for ${terms.length} ${taxonomy}...`)
+
+  await Promise.all(terms.map((term) => {
+    const tagId = getTermId(taxonomy, term.id)
+
+    if (existingTagIds.includes(tagId) || dry_run) {
+      console.log(`   ${dry_run ? '🧪 Would create' : '♻️  Reusing'} tag: ${term.name}`)
+      contentfulData.migratedTerms[tagId] = true
+      return null
+    }
+
+    return queueRequest(() => environment.createTag(tagId, term.name), `Creating tag ${term.name}`)
+      .then(() => {
+        console.log(`   ✅ Tag: ${term.name}`)
+        contentfulData.migratedTerms[tagId] = true
+      })
+      .catch((error) => {
+        // Tag names are unique, so a tag and a category of the same name clash
+        console.error(`   ❌ Failed to create tag: ${term.name}`)
+        console.error('   Error:', error.message)
+        return null
+      })
+  }))
+}
+
+/**
+ * Fetch the Contentful entries with the given IDs.
+ * @param {Object} environment - Contentful Environment.
+ * @param {Array} entryIds - Contentful entry IDs.
+ */
+async function findExistingEntriesById(environment, entryIds) {
+  const batchSize = 100
+  let existingEntries = {}
+
+  for (let i = 0; i < entryIds.length; i += batchSize) {
+    const batch = entryIds.slice(i, i + batchSize)
+    const response = await queueRequest(() => environment.getEntries({
+      'sys.id[in]': batch.join(','),
+      limit: batchSize
+    }), 'Looking up existing entries')
+
+    for (const entry of response.items) {
+      existingEntries[entry.sys.id] = entry
+    }
+  }
+
+  return existingEntries
+}
+
+/**
+ * IDs of the term entries or tags created for a post's terms.
+ * @param {Array} termIds - WordPress term IDs.
+ * @param {String} taxonomy - 'tags' or 'categories'.
+ */
+function getMigratedTermIds(termIds, taxonomy) {
+  return [].concat(termIds || [])
+    .map(termId => getTermId(taxonomy, termId))
+    .filter(termId => contentfulData.migratedTerms[termId])
+}
+
+/**
+ * Value of a post's tags or categories field, in the shape its field takes.
+ * @param {Array} termIds - WordPress term IDs.
+ * @param {String} taxonomy - 'tags' or 'categories'.
+ * @param {Object} contentRoute - the content route the post belongs to.
+ */
+function getTaxonomyFieldValue(termIds, taxonomy, contentRoute) {
+  switch (getTaxonomyMode(contentRoute, taxonomy)) {
+    case 'list':
+      return getPostLabels([].concat(termIds || []), taxonomy)
+    case 'reference':
+      return getMigratedTermIds(termIds, taxonomy).map(entryId => ({
+        sys: {
+          type: 'Link',
+          linkType: 'Entry',
+          id: entryId
+        }
+      }))
+    default:
+      // If the field expects a single Symbol, join the array into a string
+      return getPostLabels([].concat(termIds || []), taxonomy).join(', ')
+  }
+}
+
+/**
+ * Contentful tags for a post whose taxonomies are migrated as metadata tags.
+ * @param {Object} post - reduced WordPress post data.
+ * @param {Object} contentRoute - the content route the post belongs to.
+ */
+function buildEntryMetadata(post, contentRoute) {
+  let tags = []
+
+  for (const taxonomy of ['tags', 'categories']) {
+    if (getTaxonomyMode(contentRoute, taxonomy) === 'metadata') {
+      tags = tags.concat(getMigratedTermIds(getTransformSource(post, contentRoute, taxonomy), taxonomy).map(tagId => ({
+        sys: {
+          type: 'Link',
+          linkType: 'Tag',
+          id: tagId
+        }
+      })))
+    }
+  }
+
+  return tags.length > 0 ? { tags } : undefined
+}
+
+/**
+ * How the author is written to a content type, detected from the type of
+ * its field: 'reference' (a link to an author entry), 'text' (their name)
+ * or null when it has no author field.
+ * @param {Object} contentRoute - the content route the posts belong to.
+ */
+function getAuthorMode(contentRoute) {
+  const field = getTransformField(contentRoute, 'author')
+
+  if (!field) {
+    return null
+  }
+
+  return field.type === 'Link' ? 'reference' : 'text'
+}
+
+/**
+ * Contentful entry ID for a WordPress user.
+ * @param {Number} userId - WordPress user ID.
+ */
+function getAuthorEntryId(userId) {
+  return `wp-author-${userId}`
+}
+
+/**
+ * Authors of the posts whose content type links to author entries.
+ */
+function getUsedAuthors() {
+  let authorIds = []
+
+  for (const contentRoute of contentRoutes) {
+    if (getAuthorMode(contentRoute) === 'reference') {
+      authorIds = authorIds.concat(wpData[contentRoute.route].map(post => getTransformSource(post, contentRoute, 'author')))
+    }
+  }
+
+  return wpData.users.filter(user => authorIds.includes(user.id))
+}
+
+/**
+ * Create an entry for each author posts link to.
+ * @param {Object} environment - Contentful Environment.
+ */
+async function createAuthorEntries(environment) {
+  contentfulData.migratedAuthors = {}
+
+  const authors = getUsedAuthors()
+  if (authors.length === 0) {
+    return
+  }
+
+  const contentType = contentfulData.contentTypes[author_settings.contentType]
+
+  const entryIds = await createEntriesWithIds(environment, author_settings.contentType, authors.map(author => ({
+    id: author.id,
+    slug: author.slug,
+    entryId: getAuthorEntryId(author.id),
+    fields: buildAuthorFields(author, contentType)
+  })))
+
+  entryIds.forEach((entryId) => {
+    contentfulData.migratedAuthors[entryId] = true
+  })
+}
+
+/**
+ * Fields of an author entry, left out where the content type doesn't have them.
+ * @param {Object} author - reduced WordPress user.
+ * @param {Object} contentType - Contentful content type for authors.
+ */
+function buildAuthorFields(author, contentType) {
+  const avatarAssetId = author.avatar && contentfulData.assetsBySource[author.avatar.link]
+  const values = {
+    name: author.name,
+    slug: author.slug,
+    bio: author.description,
+    website: author.url,
+    avatar: avatarAssetId ? {
+      sys: {
+        type: 'Link',
+        linkType: 'Asset',
+        id: avatarAssetId
+      }
+    } : null
+  }
+  let fields = {}
+
+  for (const [fieldId, value] of Object.entries(values)) {
+    if (value && contentType.fields.find(field => field.id === fieldId)) {
+      fields[fieldId] = {
+        [defaultLocale]: value
+      }
+    }
+  }
+
+  return fields
+}
+
+/**
+ * Value of a post's author field, in the shape its field takes.
+ * Undefined when the author isn't known or wasn't migrated.
+ * @param {Number} authorId - WordPress user ID.
+ * @param {Object} post - reduced WordPress post data.
+ * @param {Object} contentRoute - the content route the post belongs to.
+ */
+function getAuthorFieldValue(authorId, post, contentRoute) {
+  const mode = getAuthorMode(contentRoute)
+  const author = wpData.users.find(({ id }) => id === authorId)
+  const entryId = getAuthorEntryId(authorId)
+
+  if (!mode) {
+    return undefined
+  }
+
+  if (!author) {
+    if (authorId > 0) {
+      console.log(`   ⚠️  Author ${authorId} of ${post.slug} not found, leaving it out`)
+    }
+    return undefined
+  }
+
+  if (mode === 'text') {
+    return author.name
+  }
+
+  if (!contentfulData.migratedAuthors[entryId]) {
+    console.log(`   ⚠️  Author ${author.slug} of ${post.slug} wasn't migrated, leaving it out`)
+    return undefined
+  }
+
+  return {
+    sys: {
+      type: 'Link',
+      linkType: 'Entry',
+      id: entryId
+    }
+  }
+}
+
+/**
+ * Path segments of links to the WordPress admin, uploads and archives,
+ * which aren't links to posts.
+ */
+const internalLinkIgnoredPaths = /(^|\/)(wp-admin|wp-content|wp-includes|wp-json|wp-login\.php|feed|category|tag|author)(\/|$)/
+
+/**
+ * Links in the HTML a post's mapping converts, with entities in them decoded
+ * the way the converters see them.
+ * @param {Object} postData - WordPress post.
+ * @param {Object} contentRoute - the content route the post belongs to.
+ */
+function getPostLinks(postData, contentRoute) {
+  let linkRegex = /<a\s(?:[^>]*?\s)?href\s*=\s*['\"]([^'\"]*?)['\"][^>]*?>/g
+  let links = []
+  let foundLink
+  const html = getMappedHtml(postData, contentRoute)
+
+  while (foundLink = linkRegex.exec(html)) {
+    const link = decodeAttributeValue(foundLink[1])
+    if (!links.includes(link)) {
+      links.push(link)
+    }
+  }
+  return links
+}
+
+/**
+ * What a link on the WordPress site points at: a post ID (?p=123 or
+ * ?page_id=123), or a permalink path whose last segment is the slug.
+ * Links to other sites, archives, uploads and the admin give null.
+ * @param {String} href - link as written in the post.
+ */
+function parseInternalLink(href) {
+  let url
+  try {
+    url = new URL(href, wpEndpoint)
+  } catch (error) {
+    return null
+  }
+
+  const siteHost = new URL(wpEndpoint).hostname.replace(/^www\./, '')
+  if (!/^https?:$/.test(url.protocol) || url.hostname.replace(/^www\./, '') !== siteHost) {
+    return null
+  }
+
+  const postId = url.searchParams.get('p') || url.searchParams.get('page_id')
+  if (/^\d+$/.test(postId || '')) {
+    return { id: parseInt(postId) }
+  }
+
+  const linkPath = url.pathname.replace(/\/+$/, '')
+  const slug = linkPath.split('/').pop().toLowerCase()
+
+  // Date archives, paging and the home page have no slug, and slugs never contain dots
+  if (internalLinkIgnoredPaths.test(linkPath) || !slug || /^\d+$/.test(slug) || slug.includes('.')) {
+    return null
+  }
+  return { path: linkPath, slug: slug }
+}
+
+/**
+ * Every fetched post and translation a link can point at, with the
+ * WordPress ID of the post whose entry it's written to.
+ */
+function getLinkablePosts() {
+  let linkablePosts = []
+
+  for (const { route } of contentRoutes) {
+    const apiItems = apiData.find(item => item.endpoint === route && item.success)
+
+    for (const postData of (apiItems && apiItems.data) || []) {
+      const versions = [postData].concat(Object.values(apiTranslations[postData.id] || {}))
+      for (const version of versions) {
+        linkablePosts.push({
+          id: version.id,
+          slug: String(version.slug).toLowerCase(),
+          path: version.link ? new URL(version.link, wpEndpoint).pathname.replace(/\/+$/, '') : null,
+          wpId: postData.id,
+          sourceSlug: postData.slug
+        })
+      }
+    }
+  }
+  return linkablePosts
+}
+
+/**
+ * Find the entries of posts this run didn't fetch, which earlier runs may
+ * have migrated: by the slug field or WordPress ID field of each content
+ * type, and by the entry ID posts are created with.
+ * @param {Object} environment - Contentful Environment.
+ * @param {Array} references - parsed internal links.
+ */
+async function findLinkedEntries(environment, references) {
+  const ids = [...new Set(references.filter(reference => reference.id).map(reference => String(reference.id)))]
+  const slugs = [...new Set(references.filter(reference => reference.slug).map(reference => reference.slug))]
+  const batchSize = 50
+  let found = { ids: {}, slugs: {} }
+
+  const getSlug = (entry) => {
+    const contentRoute = contentRoutes.find(({ contentType }) => contentType === entry.sys.contentType.sys.id)
+    const slugMapping = contentRoute && contentRoute.fields.find(({ source, transform }) => source === 'slug' && !transform)
+    return slugMapping && entry.fields[slugMapping.fieldId] ? entry.fields[slugMapping.fieldId][defaultLocale] : undefined
+  }
+
+  for (const contentType of new Set(contentRoutes.map(({ contentType }) => contentType))) {
+    const contentRoute = contentRoutes.find(route => route.contentType === contentType)
+    const slugMapping = contentRoute.fields.find(({ source, transform }) => source === 'slug' && !transform)
+    const lookups = [
+      slugMapping && { field: slugMapping.fieldId, values: slugs, results: found.slugs },
+      wordpress_id_field && { field: wordpress_id_field, values: ids, results: found.ids }
+    ].filter(Boolean)
+
+    for (const { field, values, results } of lookups) {
+      for (let i = 0; i < values.length; i += batchSize) {
+        const batch = values.slice(i, i + batchSize)
+        const response = await queueRequest(() => environment.getEntries({
+          content_type: contentType,
+          [`fields.${field}[in]`]: batch.join(','),
+          limit: batchSize
+        }), 'Looking up linked entries')
+
+        for (const entry of response.items) {
+          const value = entry.fields[field] && entry.fields[field][defaultLocale]
+          if (value !== undefined && !results[String(value).toLowerCase()]) {
+            results[String(value).toLowerCase()] = {
+              entryId: entry.sys.id,
+              slug: getSlug(entry),
+              wpId: wordpress_id_field && entry.fields[wordpress_id_field] ? entry.fields[wordpress_id_field][defaultLocale] : undefined
+            }
+          }
+        }
+      }
+    }
+  }
+
+  const entriesById = await findExistingEntriesById(environment, ids.filter(id => !found.ids[id]).map(getPostEntryId))
+  for (const entry of Object.values(entriesById)) {
+    const wpId = entry.sys.id.replace(getPostEntryId(''), '')
+    found.ids[wpId] = { entryId: entry.sys.id, slug: getSlug(entry), wpId: parseInt(wpId) }
+  }
+
+  return found
+}
+
+/**
+ * Resolve the links between WordPress posts to the entries of the posts
+ * they point at, so the Rich Text and Markdown converters can rewrite them.
+ * Links to posts that weren't migrated are reported and left as they are.
+ * @param {Object} environment - Contentful Environment.
+ */
+async function resolveInternalLinks(environment) {
+  contentfulData.internalLinks = {}
+
+  if (!internal_link_settings.enabled) {
+    return
+  }
+
+  // Internal links in each post and its translations
+  let postLinks = []
+  for (const contentRoute of contentRoutes) {
+    for (const post of wpData[contentRoute.route]) {
+      for (const version of [post.wpPost].concat(Object.values(post.translations))) {
+        for (const href of getPostLinks(version, contentRoute)) {
+          const reference = parseInternalLink(href)
+          if (reference && !postLinks.find(link => link.post === post && link.href === href)) {
+            postLinks.push({ post, href, reference })
+          }
+        }
+      }
+    }
+  }
+
+  if (postLinks.length === 0) {
+    return
+  }
+
+  console.log(`🔗 Resolving ${postLinks.length} internal link(s)...`)
+
+  // Posts fetched in this run are linked to the entry they're migrated to
+  const linkablePosts = getLinkablePosts()
+  const migratedIds = getMigratedPosts().map(post => post.id)
+
+  for (const { href, reference } of postLinks) {
+    const target = reference.id
+      ? linkablePosts.find(post => post.id === reference.id)
+      : linkablePosts.find(post => post.path === reference.path) || linkablePosts.find(post => post.slug === reference.slug)
+    const entryId = target && (contentfulData.entryIds[target.wpId] || (migratedIds.includes(target.wpId) ? getPostEntryId(target.wpId) : null))
+
+    contentfulData.internalLinks[href] = entryId ? { entryId: entryId, slug: target.sourceSlug, wpId: target.wpId } : null
+  }
+
+  // Others may point at entries an earlier run migrated
+  const unresolved = postLinks.filter(({ href }) => !contentfulData.internalLinks[href])
+  if (unresolved.length > 0) {
+    const found = await findLinkedEntries(environment, unresolved.map(({ reference }) => reference))
+    for (const { href, reference } of unresolved) {
+      contentfulData.internalLinks[href] = (reference.id ? found.ids[String(reference.id)] : found.slugs[reference.slug]) || null
+    }
+  }
+
+  const brokenLinks = postLinks.filter(({ href }) => !contentfulData.internalLinks[href])
+  console.log(`✅ ${postLinks.length - brokenLinks.length} internal link(s) point at migrated entries`)
+
+  if (brokenLinks.length > 0) {
+    console.log(`⚠️  ${brokenLinks.length} internal link(s) point at content that wasn't migrated, leaving them as they are:`)
+    brokenLinks.forEach(({ post, href }) => {
+      console.log(`   - ${post.slug}: ${href}`)
+    })
+  }
+  console.log(logSeparator)
+}
+
+/**
+ * The migrated entry a link points at, once links are resolved.
+ * @param {String} href - link as written in the post.
+ */
+function getInternalLinkTarget(href) {
+  return (internal_link_settings.enabled && (contentfulData.internalLinks || {})[href]) || null
+}
+
+/**
+ * New URL of a migrated post from urlPattern, keeping the link's #fragment.
+ * @param {String} href - link as written in the post.
+ */
+function getInternalLinkUrl(href) {
+  const target = getInternalLinkTarget(href)
+  const hash = href.includes('#') ? href.slice(href.indexOf('#')) : ''
+
+  return internal_link_settings.urlPattern
+    .replace(/\{slug\}/g, target.slug || '')
+    .replace(/\{id\}/g, target.wpId || '') + hash
+}
+
+/**
+ * For each WordPress post, build the data for a Contentful counterpart.
+ * Content routes are migrated one after another, and hierarchical ones
+ * (pages) a level at a time so parents exist before their children link
+ * to them. Entries are published once all of them exist.
+ * @param {String} environment - Name of Contentful Environment.
+ * @param {Array} assets - array to store Assets in
+ */
+async function createContentfulPosts(environment, assets) {
+  console.log(`Creating Contentful Posts...`)
+  console.log(logSeparator)
+
+  // Lets the Rich Text converter embed the asset uploaded for each image
+  contentfulData.assetsBySource = {}
+  contentfulData.assetUrlsBySource = {}
+  for (const asset of assets) {
+    for (const sourceUrl of asset.sourceUrls || []) {
+      contentfulData.assetsBySource[sourceUrl] = asset.assetId
+      if (asset.url) {
+        contentfulData.assetUrlsBySource[sourceUrl] = asset.url
+      }
+    }
+  }
+
+  // Authors and terms are created first so posts can link to them
+  await createAuthorEntries(environment)
+  await createContentfulTaxonomies(environment)
+  await resolveInternalLinks(environment)
+
+  const createEntries = dry_run ? planContentfulEntries : createContentfulEntries
+  let createdEntries = []
+
+  for (const contentRoute of contentRoutes) {
+    for (const level of getHierarchyLevels(wpData[contentRoute.route])) {
+      let promises = []
+
+      for (const post of level) {
+        if (isPostCompleted(post.id)) {
+          console.log(`   ⏭️  Already published before the interruption: ${post.slug}`)
+          continue
+        }
+
+        promises.push({
+          wpId: post.id,
+          slug: post.slug,
+          matchValue: getEntryMatchValue(post),
+          contentType: contentRoute.contentType,
+          fields: buildEntryFields(post, contentRoute),
+          metadata: buildEntryMetadata(post, contentRoute),
+          publishAction: getPublishAction(post.wpPost),
+          publishAt: getContentfulDate(post.wpPost.date_gmt)
+        })
+      }
+
+      // Entries embedded for blocks and shortcodes have to exist before the posts are published
+      await createEmbeddedEntries(environment)
+
+      console.log(`${contentRoute.route} objects created, attempting to create entries...`)
+      createdEntries = createdEntries.concat(await createEntries(environment, promises))
+    }
+  }
+
+  reportUnhandledShortcodes()
+
+  if (dry_run) {
+    reportDryRun(assets)
+    return
+  }
+
+  // Every entry exists now, so links between them resolve when they're published
+  console.log(logSeparator)
+  console.log(`Publishing entries...`)
+  const results = await publishContentfulEntries(environment, createdEntries)
+
+  console.log(logSeparator);
+  console.log(`Done!`);
+  console.log(logSeparator);
+
+  const failedCount = results.filter(entry => !entry).length
+  if (failedCount > 0) {
+    console.log(`⚠️  ${failedCount} post(s) failed to migrate.`)
+    console.log('   Run npm run migrate:resume to retry them without duplicating the rest.')
+  } else {
+    console.log(`The migration has completed.`)
+    checkpoint.completedAt = new Date().toISOString()
+    saveCheckpoint()
+    saveLastRun()
+    if (manifest) {
+      manifest.completedAt = checkpoint.completedAt
+      saveManifest()
+    }
+  }
+  console.log(logSeparator);
+
+  if (sandbox_settings.enabled && failedCount === 0) {
+    await promoteSandboxEnvironment()
+    console.log(logSeparator);
+  }
+}
+
+/**
+ * Group posts by their depth in the parent/child hierarchy. Posts whose
+ * parent isn't part of this migration start at the top, as do all posts
+ * of non-hierarchical types.
+ * @param {Array} posts - reduced WordPress posts or pages.
+ */
+function getHierarchyLevels(posts) {
+  let postsById = {}
+  posts.forEach(post => { postsById[post.id] = post })
+
+  // The visited list stops a parent loop from recursing forever
+  const getDepth = (post, visited) => {
+    const parent = postsById[post.parent]
+    if (!parent || visited.includes(parent.id)) {
+      return 0
+    }
+    return getDepth(parent, visited.concat(post.id)) + 1
+  }
+
+  let levels = []
+  for (const post of posts) {
+    const depth = getDepth(post, [])
+    levels[depth] = (levels[depth] || []).concat(post)
+  }
+
+  return levels.filter(Boolean)
+}
+
+/**
+ * Build the Contentful fields of an entry from its content route's field
+ * mapping: each Contentful field reads a path of the WordPress post and
+ * runs it through its transform.
+ *
+ * Results:
+ *  postTitle: {
+ *    'en-US': wpPost.title.rendered
+ *   },
+ *  slug: {
+ *    'en-US': wpPost.slug
+ *  },
+ * @param {Object} post - reduced WordPress post data.
+ * @param {Object} contentRoute - the content route the post belongs to.
+ */
+function buildEntryFields(post, contentRoute) {
+  const contentType = contentfulData.contentTypes[contentRoute.contentType]
+  let postFields = {}
+
+  for (const { fieldId, source, transform } of contentRoute.fields) {
+    const field = contentType.fields.find(field => field.id === fieldId)
+
+    // Pages and custom post types often leave out post-only fields such as tags
+    if (!field) {
+      continue
+    }
+
+    const value = applyFieldTransform(getSourceValue(post.wpPost, source), transform, post, contentRoute, field)
+
+    // Nothing to link to, or no value in WordPress
+    if (value === undefined || value === null) {
+      continue
+    }
+
+    postFields[fieldId] = {
+      [defaultLocale]: value
+    }
+
+    // Translations go into the other locales of localized fields. Links to
+    // terms, authors and posts stay those of the source language.
+    if (field.localized && !['tags', 'categories', 'author', 'reference'].includes(transform)) {
+      for (const [language, translatedPost] of Object.entries(post.translations)) {
+        const locale = contentfulData.translationLocales[language]
+        const translatedValue = locale && applyFieldTransform(getSourceValue(translatedPost, source), transform, { ...post, wpPost: translatedPost }, contentRoute, field)
+
+        if (translatedValue !== undefined && translatedValue !== null) {
+          postFields[fieldId][locale] = translatedValue
+        }
+      }
+    }
+  }
+
+  // Store the WordPress ID so re-runs can find this entry again
+  if (wordpress_id_field) {
+    const idField = contentType.fields.find(field => field.id === wordpress_id_field)
+    postFields[wordpress_id_field] = {
+      [defaultLocale]: idField.type === 'Symbol' ? String(post.id) : post.id
+    }
+  }
+
+  // Parents are created a level earlier, so their entry IDs are known by now
+  if (contentRoute.parentField && post.parent > 0) {
+    const parentEntryId = contentfulData.entryIds[post.parent]
+
+    if (parentEntryId) {
+      postFields[contentRoute.parentField] = {
+        [defaultLocale]: {
+          sys: {
+            type: 'Link',
+            linkType: 'Entry',
+            id: parentEntryId
+          }
         }
       }
-    } catch (error) {
-      console.error(`   ❌ Page ${page} failed: ${error.response?.status} - ${error.message}`);
-      hasMorePages = false;
+    } else {
+      console.log(`   ⚠️  Parent ${post.parent} of ${post.slug} wasn't migrated, leaving it out`)
+    }
+  }
+
+  if (contentRoute.orderField) {
+    postFields[contentRoute.orderField] = {
+      [defaultLocale]: post.menuOrder
+    }
+  }
+
+  return postFields
+}
+
+/**
+ * Raw block markup to convert a field from, when block conversion is on:
+ * the value itself if it has blocks, or the raw content of the post when
+ * the value is its rendered content.
+ * @param {String} value - HTML read from the WordPress post.
+ * @param {Object} wpPost - WordPress post.
+ */
+function getBlockMarkup(value, wpPost) {
+  if (!block_settings.enabled || typeof value !== 'string') {
+    return null
+  }
+
+  const rawContent = wpPost.content && value === wpPost.content.rendered ? wpPost.content.raw : value
+  return typeof rawContent === 'string' && rawContent.includes('<!-- wp:') ? rawContent : null
+}
+
+/**
+ * Parse block markup into a tree of blocks, following the block grammar:
+ * <!-- wp:name {"attrs"} --> ... <!-- /wp:name -->, or <!-- wp:name /-->
+ * for blocks without content. Each block keeps its HTML and inner blocks
+ * in order in innerContent, and HTML outside blocks stays a string.
+ * @param {String} markup - raw block markup.
+ */
+function parseBlocks(markup) {
+  const delimiterRegex = /<!--\s+(\/)?wp:([a-z][a-z0-9_-]*(?:\/[a-z][a-z0-9_-]*)?)\s+(?:(\{[\s\S]*?\})\s+)?(\/)?-->/g
+  const root = { name: null, attrs: {}, innerBlocks: [], innerContent: [] }
+  let openBlocks = [root]
+  let lastIndex = 0
+  let delimiter
+
+  while (delimiter = delimiterRegex.exec(markup)) {
+    const [comment, closer, name, attrs, selfClosing] = delimiter
+    const parent = openBlocks[openBlocks.length - 1]
+    const blockName = name.includes('/') ? name : `core/${name}`
+
+    if (delimiter.index > lastIndex) {
+      parent.innerContent.push(markup.slice(lastIndex, delimiter.index))
+    }
+    lastIndex = delimiter.index + comment.length
+
+    if (closer) {
+      // A stray closer is ignored rather than closing the wrong block
+      if (openBlocks.length > 1 && parent.name === blockName) {
+        openBlocks.pop()
+      }
+      continue
+    }
+
+    let block = { name: blockName, attrs: {}, innerBlocks: [], innerContent: [] }
+    try {
+      block.attrs = attrs ? JSON.parse(attrs) : {}
+    } catch (error) {
+      console.log(`   ⚠️  Couldn't read the attributes of block ${blockName}, converting it without them`)
+    }
+
+    parent.innerBlocks.push(block)
+    parent.innerContent.push(block)
+    if (!selfClosing) {
+      openBlocks.push(block)
+    }
+  }
+
+  if (lastIndex < markup.length) {
+    openBlocks[openBlocks.length - 1].innerContent.push(markup.slice(lastIndex))
+  }
+  return root.innerContent
+}
+
+/**
+ * IDs of the reusable blocks used in block markup, nested ones included.
+ * @param {Array} blocks - blocks and HTML from parseBlocks.
+ */
+function getReusableBlockIds(blocks) {
+  return blocks
+    .filter(block => typeof block === 'object')
+    .reduce((ids, block) => ids
+      .concat(block.name === 'core/block' && parseInt(block.attrs.ref) > 0 ? parseInt(block.attrs.ref) : [])
+      .concat(getReusableBlockIds(block.innerContent)), [])
+}
+
+/**
+ * Fetch the reusable blocks the posts and their translations use, and the
+ * reusable blocks those use in turn.
+ */
+async function fetchReusableBlocks() {
+  const getMarkup = (postData) => getSourceValue(postData, 'content.raw') || ''
+  let markup = []
+
+  for (const { route } of contentRoutes) {
+    const apiItems = apiData.find(item => item.endpoint === route && item.success)
+    for (const postData of (apiItems && apiItems.data) || []) {
+      markup = markup.concat(getMarkup(postData), Object.values(apiTranslations[postData.id] || {}).map(getMarkup))
+    }
+  }
+
+  let blockIds = [...new Set(getReusableBlockIds(parseBlocks(markup.join('\n'))))]
+  while (blockIds.length > 0) {
+    const reusableBlocks = await fetchDataByIds('blocks', blockIds, { context: 'edit' })
+    for (const reusableBlock of reusableBlocks) {
+      apiReusableBlocks[reusableBlock.id] = getMarkup(reusableBlock)
+    }
+
+    const missing = blockIds.filter(id => apiReusableBlocks[id] === undefined)
+    if (missing.length > 0) {
+      console.log(`   ⚠️  ${missing.length} reusable blocks not found in WordPress: ${missing.join(', ')}`)
+      missing.forEach((id) => { apiReusableBlocks[id] = '' })
+    }
+
+    const nestedIds = getReusableBlockIds(parseBlocks(reusableBlocks.map(getMarkup).join('\n')))
+    blockIds = [...new Set(nestedIds)].filter(id => apiReusableBlocks[id] === undefined)
+  }
+
+  console.log(`   reusable blocks: ${Object.keys(apiReusableBlocks).length}`)
+}
+
+/**
+ * State of converting one field of a post: the post, the Rich Text nodes
+ * and entries block and shortcode handlers gave, and the reusable blocks
+ * being expanded, which stops a block that includes itself.
+ * @param {Object} post - reduced WordPress post data.
+ * @param {String} format - 'richtext' or 'markdown'.
+ */
+function createContentContext(post, format) {
+  return {
+    post: post,
+    format: format,
+    nodes: [],
+    reusableBlocks: []
+  }
+}
+
+/**
+ * Render blocks back to HTML for the Rich Text or Markdown converter, with
+ * reusable blocks expanded and each block passed through its handler.
+ * Rich Text nodes and entries from handlers are left as <wp-embed>
+ * placeholders the Rich Text converter swaps for them.
+ * @param {Array} blocks - blocks and HTML from parseBlocks.
+ * @param {Object} context - from createContentContext.
+ */
+function renderBlocks(blocks, context) {
+  return blocks.map(block => typeof block === 'string' ? block : renderBlock(block, context)).join('')
+}
+
+/**
+ * Render a single block, see renderBlocks.
+ * @param {Object} block - block from parseBlocks.
+ * @param {Object} context - from createContentContext.
+ */
+function renderBlock(block, context) {
+  const handler = block_settings.handlers[block.name]
+
+  if (handler === 'skip') {
+    return ''
+  }
+
+  if (handler) {
+    const result = typeof handler === 'function' ? handler(getBlockView(block), context.post.wpPost) : handler
+
+    // null leaves the block out, undefined converts it as usual
+    if (result === null) {
+      return ''
+    }
+    if (typeof result === 'string') {
+      return result
+    }
+    if (result !== undefined) {
+      const placeholder = createEmbedPlaceholder(result, {
+        type: 'block',
+        name: block.name,
+        fromConfig: result === handler,
+        getView: () => getBlockView(block)
+      }, context)
+      if (placeholder !== null) {
+        return placeholder
+      }
     }
   }
-  
-  console.log(`   📊 Total fetched: ${allData.length} items`);
+
+  if (block.name === 'core/block') {
+    const ref = parseInt(block.attrs.ref)
+    if (!apiReusableBlocks[ref]) {
+      console.log(`   ⚠️  Reusable block ${block.attrs.ref} in ${context.post.slug} not found, leaving it out`)
+      return ''
+    }
+    if (context.reusableBlocks.includes(ref)) {
+      console.log(`   ⚠️  Reusable block ${ref} in ${context.post.slug} includes itself, leaving the repeat out`)
+      return ''
+    }
+    return renderBlocks(parseBlocks(apiReusableBlocks[ref]), { ...context, reusableBlocks: context.reusableBlocks.concat(ref) })
+  }
+
+  // Embeds are saved as a bare URL the site turns into a player, keep a link to it
+  if ((block.name === 'core/embed' || block.name.startsWith('core-embed/')) && block.attrs.url) {
+    return createLinkHtml(block.attrs.url)
+  }
+
+  const html = renderBlocks(block.innerContent, context)
+
+  // Dynamic blocks are rendered by the site and have no markup of their own
+  if (block.innerContent.length === 0 && !handler) {
+    console.log(`   ⚠️  Block ${block.name} in ${context.post.slug} has no content of its own, leaving it out (add a handler for it)`)
+  }
+  return html
+}
+
+/**
+ * What a block handler gets: the block's name and attributes, its HTML and
+ * text, the URL it links to, the assets of its images and its inner blocks.
+ * @param {Object} block - block from parseBlocks.
+ */
+function getBlockView(block) {
+  const html = getBlockHtml(block)
+  const body = domino.createDocument(html).body
+  const link = body.querySelector('a[href]')
+
   return {
-    success: allData.length > 0,
-    data: allData,
-    error: allData.length === 0 ? 'No data retrieved' : null
-  };
+    name: block.name,
+    attrs: block.attrs,
+    html: html,
+    text: body.textContent.replace(/\s+/g, ' ').trim(),
+    url: block.attrs.url || (link ? link.getAttribute('href') : undefined),
+    images: Array.from(body.querySelectorAll('img'))
+      .map(image => (contentfulData.assetsBySource || {})[image.getAttribute('src')])
+      .filter(Boolean)
+      .map(createRichTextAssetLink),
+    innerBlocks: block.innerBlocks
+  }
 }
 
 /**
- * Check how many posts are available in WordPress before starting migration
+ * A block's own HTML with that of its inner blocks, as saved.
+ * @param {Object} block - block from parseBlocks.
  */
-async function checkWordPressPostCount() {
-  console.log('🔍 Checking WordPress post availability...')
-  
-  try {
-    // Use a small request to get headers with total counts
-    const response = await axios.get(`${wpEndpoint}posts?per_page=1`)
-    const totalPosts = response.headers['x-wp-total'] ? parseInt(response.headers['x-wp-total']) : 'unknown'
-    const totalPages = response.headers['x-wp-totalpages'] ? parseInt(response.headers['x-wp-totalpages']) : 'unknown'
-    
-    console.log(`📊 WordPress site stats:`)
-    console.log(`   Total published posts: ${totalPosts}`)
-    console.log(`   Total pages available: ${totalPages}`)
-    console.log(`   Requested to import: ${import_post_count}`)
-    
-    if (totalPosts !== 'unknown' && totalPosts < import_post_count) {
-      console.log(`⚠️  Note: You requested ${import_post_count} posts, but only ${totalPosts} are available.`)
-      console.log(`   The migration will process all ${totalPosts} available posts.`)
+function getBlockHtml(block) {
+  return block.innerContent.map(item => typeof item === 'string' ? item : getBlockHtml(item)).join('')
+}
+
+/**
+ * Handlers for the shortcodes WordPress and Jetpack register, turning them
+ * into HTML the Rich Text and Markdown converters understand. They get the
+ * parsed shortcode and the WordPress post, and null leaves it out.
+ */
+const builtInShortcodeHandlers = {
+  // [caption]<img ...> Caption text[/caption], the image possibly in a link
+  caption: (shortcode) => {
+    const media = shortcode.content.match(/^\s*((?:<a\s[^>]*>\s*)?<img\s[^>]*>(?:\s*<\/a>)?)([\s\S]*)$/i)
+    const caption = (shortcode.attrs.caption || (media ? media[2] : '')).trim()
+    return `<figure>${media ? media[1] : shortcode.content}${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`
+  },
+
+  // [gallery ids="1,2,3"]
+  gallery: (shortcode, wpPost) => {
+    const images = getShortcodeMediaIds([shortcode]).map(getMediaRecord).filter(Boolean)
+    if (images.length === 0) {
+      console.log(`   ⚠️  Gallery in ${wpPost.slug} lists no media we fetched, leaving it out`)
+      return null
     }
-    
-    if (import_post_count > 100) {
-      console.log(`📝 Large dataset detected - will use pagination to fetch ${import_post_count} posts`)
+    return `<figure>${images.map(media => `<img src="${escapeHtml(media.source_url)}" alt="${escapeHtml(media.alt_text || '')}" class="wp-image-${media.id}">`).join('')}</figure>`
+  },
+
+  // [embed]https://...[/embed]
+  embed: (shortcode) => {
+    const url = shortcode.content.trim() || shortcode.attrs.url || shortcode.attrs.src
+    return url ? createLinkHtml(url) : null
+  },
+
+  // [youtube https://...], [youtube=https://...] or [youtube id="..."]
+  youtube: (shortcode) => {
+    const url = shortcode.attrs.url || String(shortcode.attrs[0] || shortcode.content || '').trim().replace(/^=/, '')
+    if (url) {
+      return createLinkHtml(url)
     }
-    
-  } catch (error) {
-    console.log(`⚠️  Could not check post count (${error.message}), proceeding with migration...`)
+    return shortcode.attrs.id ? createLinkHtml(`https://www.youtube.com/watch?v=${shortcode.attrs.id}`) : null
+  },
+
+  // [audio src="..."] or [audio mp3="..."], uploaded files become assets
+  audio: (shortcode) => {
+    const source = ['src', 'mp3', 'm4a', 'ogg', 'wav'].map(attr => shortcode.attrs[attr]).find(Boolean)
+    return source ? `<audio src="${escapeHtml(source)}"></audio>` : null
+  },
+
+  // [video src="..."] or [video mp4="..."]
+  video: (shortcode) => {
+    const source = ['src', 'mp4', 'm4v', 'webm', 'ogv', 'wmv', 'flv'].map(attr => shortcode.attrs[attr]).find(Boolean)
+    return source ? `<video src="${escapeHtml(source)}"></video>` : null
   }
 }
+builtInShortcodeHandlers.wp_caption = builtInShortcodeHandlers.caption
 
-function migrateContent() {
-  let promises = [];
+/**
+ * Matches a shortcode the way WordPress does: [name attrs], [name attrs /]
+ * or [name attrs]content[/name]. [[name]] is an escaped, literal shortcode.
+ * A new expression each time, as replace and exec keep state on it.
+ */
+function getShortcodeRegex() {
+  return /\[(\[?)([a-zA-Z][\w-]*)(?![\w-])((?:[^\]\/]|\/(?!\]))*?)(?:(\/)\]|\](?:((?:[^\[]|\[(?!\/\2\]))*?)\[\/\2\])?)(\]?)/g
+}
 
-  console.log(logSeparator)
-  console.log(`🚀 Starting WordPress to Contentful Migration`)
-  console.log(logSeparator)
+/**
+ * Parse shortcode attributes: name="value", name='value', name=value and
+ * positional values, which are numbered. Curly quotes from the rendered
+ * content count as quotes.
+ * @param {String} text - attribute text of the shortcode.
+ */
+function parseShortcodeAttributes(text) {
+  const attributeRegex = /([\w-]+)\s*=\s*"([^"]*)"(?:\s|$)|([\w-]+)\s*=\s*'([^']*)'(?:\s|$)|([\w-]+)\s*=\s*([^\s'"]+)(?:\s|$)|"([^"]*)"(?:\s|$)|'([^']*)'(?:\s|$)|(\S+)(?:\s|$)/g
+  const normalised = text
+    .replace(/&#0?822[01];|&#8243;|&quot;|[\u201c\u201d\u2033]/g, '"')
+    .replace(/&#0?8217;|&#0?8216;|&#0?39;|&#8242;|[\u2018\u2019\u2032]/g, '\'')
+    .replace(/&nbsp;|[\u00a0\u200b]/g, ' ')
+  let attrs = {}
+  let position = 0
+  let attribute
 
-  // First test the Contentful connection
-  testContentfulConnection().then(async () => {
-    // Check WordPress post availability
-    await checkWordPressPostCount()
-    
-    console.log(logSeparator)
-    console.log(`📡 Getting WordPress API data`)
-    console.log(logSeparator)
+  while (attribute = attributeRegex.exec(normalised)) {
+    if (attribute[1] !== undefined) {
+      attrs[attribute[1].toLowerCase()] = attribute[2]
+    } else if (attribute[3] !== undefined) {
+      attrs[attribute[3].toLowerCase()] = attribute[4]
+    } else if (attribute[5] !== undefined) {
+      attrs[attribute[5].toLowerCase()] = attribute[6]
+    } else {
+      attrs[position++] = [attribute[7], attribute[8], attribute[9]].find(value => value !== undefined)
+    }
+  }
+  return attrs
+}
 
-    // Use pagination for posts if needed, but keep smaller requests for other endpoints
-    const endpoints = Object.keys(wpData);
-    const fetchPromises = [];
-    
-    for (const endpoint of endpoints) {
-      if (endpoint === 'posts') {
-        // Use pagination for posts
-        fetchPromises.push(
-          fetchDataWithPagination(`${wpEndpoint}${endpoint}`, import_post_count)
-            .then(result => ({ ...result, endpoint }))
-        );
-      } else {
-        // Use standard fetch for other endpoints (tags, categories, media)
-        const maxItems = endpoint === 'media' ? 100 : 50; // Limit media to avoid large requests
-        fetchPromises.push(
-          fetchDataWithPagination(`${wpEndpoint}${endpoint}`, maxItems)
-            .then(result => ({ ...result, endpoint }))
-        );
-      }
+/**
+ * Escape the brackets in <pre> and <code>, so code such as arr[index] isn't
+ * taken for shortcodes. The escaped HTML reads the same once parsed.
+ * @param {String} html - HTML read from the WordPress post.
+ */
+function escapeCodeShortcodes(html) {
+  return html.replace(/<(pre|code)\b[^>]*>[\s\S]*?<\/\1>/gi, code => code.replace(/\[/g, '&#91;'))
+}
+
+/**
+ * Every shortcode in some HTML, nested ones included.
+ * @param {String} html - HTML read from the WordPress post.
+ */
+function findShortcodes(html) {
+  html = escapeCodeShortcodes(html)
+  const shortcodeRegex = getShortcodeRegex()
+  let shortcodes = []
+  let found
+
+  while (found = shortcodeRegex.exec(html)) {
+    const [match, openEscape, name, attributeText, selfClosing, content, closeEscape] = found
+    if (openEscape === '[' && closeEscape === ']') {
+      continue
     }
+    shortcodes.push({ name: name, attrs: parseShortcodeAttributes(attributeText), content: content || '' })
+    shortcodes = shortcodes.concat(findShortcodes(content || ''))
+  }
+  return shortcodes
+}
 
-    Promise.all(fetchPromises)
-      .then(results => {
-        apiData = results;
-        mapData();
-      })
-      .catch(error => {
-        console.error('❌ Error fetching WordPress data:', error.message)
-        process.exit(1)
-      })
+/**
+ * WordPress IDs of the media gallery shortcodes list.
+ * @param {Array} shortcodes - from findShortcodes.
+ */
+function getShortcodeMediaIds(shortcodes) {
+  return shortcodes
+    .filter(shortcode => shortcode.name === 'gallery')
+    .reduce((ids, shortcode) => ids.concat(String(shortcode.attrs.ids || shortcode.attrs.include || '').split(',')), [])
+    .map(id => parseInt(id))
+    .filter(id => id > 0)
+}
+
+/**
+ * Run the shortcodes in some HTML through their handlers. Shortcodes no
+ * handler knows are left as they are and reported per post, those in code
+ * aren't touched.
+ * @param {String} html - HTML read from the WordPress post.
+ * @param {Object} context - from createContentContext.
+ * @param {Number} depth - nesting depth, so handlers returning shortcodes can't loop forever.
+ */
+function renderShortcodes(html, context, depth = 0) {
+  return escapeCodeShortcodes(html).replace(getShortcodeRegex(), (match, openEscape, name, attributeText, selfClosing, content, closeEscape) => {
+    // [[name]] is written out as [name]
+    if (openEscape === '[' && closeEscape === ']') {
+      return match.slice(1, -1)
+    }
+
+    const shortcode = { name: name, attrs: parseShortcodeAttributes(attributeText), content: content || '' }
+    const rendered = renderShortcode(shortcode, context)
+
+    if (rendered === undefined) {
+      // Bracketed words such as [sic] are text, only report what looks like a shortcode
+      const looksLikeShortcode = attributeText.trim() || selfClosing || content !== undefined
+      if (looksLikeShortcode && !shortcode_settings.handlers[name] && !builtInShortcodeHandlers[name]) {
+        const unhandled = contentfulData.unhandledShortcodes = contentfulData.unhandledShortcodes || {}
+        unhandled[context.post.slug] = [...new Set((unhandled[context.post.slug] || []).concat(`[${name}]`))]
+      }
+      return match
+    }
+    return openEscape + (depth < 5 ? renderShortcodes(rendered, context, depth + 1) : rendered) + closeEscape
   })
 }
 
 /**
- * Get our entire API response and filter it down to only show content that we want to include
+ * HTML for a single shortcode from its handler in the config, or else the
+ * built-in one. undefined leaves the shortcode as it is.
+ * @param {Object} shortcode - name, attrs and content.
+ * @param {Object} context - from createContentContext.
  */
-function mapData() {
-  console.log('📊 Processing API response data...')
-  
-  // Check for any failed API calls
-  const failedCalls = apiData.filter(item => !item.success)
-  if (failedCalls.length > 0) {
-    console.log('⚠️  Some API calls failed:')
-    failedCalls.forEach(failed => {
-      console.log(`   - ${failed.endpoint}: ${failed.error}`)
-    })
+function renderShortcode(shortcode, context) {
+  const handler = shortcode_settings.handlers[shortcode.name]
+  const builtInHandler = builtInShortcodeHandlers[shortcode.name]
+
+  if (handler === 'skip') {
+    return ''
   }
 
-  console.log(`📋 Successfully fetched data for: ${apiData.filter(item => item.success).map(item => item.endpoint).join(', ')}`)
+  if (handler) {
+    const result = typeof handler === 'function' ? handler(shortcode, context.post.wpPost) : handler
 
-  console.log(`Reducing API data to only include fields we want`)
-  
-  // Get posts data and validate it exists
-  let apiPostsArray = apiData.filter(item => item.endpoint === 'posts' && item.success);
-  if (!apiPostsArray || apiPostsArray.length === 0) {
-    console.error('❌ No posts data found in API response')
-    console.error('This could happen if:')
-    console.error('1. WordPress site has no published posts')
-    console.error('2. WordPress API is not accessible')
-    console.error('3. WordPress endpoint URL is incorrect')
-    process.exit(1)
+    // null leaves the shortcode out, undefined converts it as usual
+    if (result === null) {
+      return ''
+    }
+    if (typeof result === 'string') {
+      return result
+    }
+    if (result !== undefined) {
+      const placeholder = createEmbedPlaceholder(result, {
+        type: 'shortcode',
+        name: shortcode.name,
+        fromConfig: result === handler,
+        getView: () => getShortcodeView(shortcode)
+      }, context)
+      if (placeholder !== null) {
+        return placeholder
+      }
+    }
   }
-  
-  let apiPosts = apiPostsArray[0];
-  if (!apiPosts || !apiPosts.data || !Array.isArray(apiPosts.data)) {
-    console.error('❌ Posts data is malformed or empty')
-    console.error('API Posts Response:', apiPosts)
-    process.exit(1)
+
+  if (builtInHandler) {
+    const html = builtInHandler(shortcode, context.post.wpPost)
+    return html === null ? '' : html
   }
+  return undefined
+}
 
-  if (apiPosts.data.length === 0) {
-    console.log('⚠️  No posts found to migrate')
-    console.log('This could happen if:')
-    console.log('1. All posts are drafts or private')
-    console.log('2. The importPostCount is set too high')
-    console.log('3. WordPress has no published posts')
-    process.exit(0)
+/**
+ * What an entry's fields are read from for a shortcode handler in the
+ * config: its name, attributes and content, the content's text, the URL
+ * it points at and the assets of its images and gallery media.
+ * @param {Object} shortcode - name, attrs and content.
+ */
+function getShortcodeView(shortcode) {
+  const body = domino.createDocument(shortcode.content).body
+  const link = body.querySelector('a[href]')
+  const content = shortcode.content.trim()
+  const imageSources = getShortcodeMediaIds([shortcode])
+    .map(getMediaRecord)
+    .filter(Boolean)
+    .map(media => media.source_url)
+    .concat(Array.from(body.querySelectorAll('img')).map(image => image.getAttribute('src')))
+
+  return {
+    name: shortcode.name,
+    attrs: shortcode.attrs,
+    content: shortcode.content,
+    text: body.textContent.replace(/\s+/g, ' ').trim(),
+    url: shortcode.attrs.url || shortcode.attrs.src || (link ? link.getAttribute('href') : undefined) || (/^https?:\/\/\S+$/.test(content) ? content : undefined),
+    images: [...new Set(imageSources)]
+      .map(source => (contentfulData.assetsBySource || {})[source])
+      .filter(Boolean)
+      .map(createRichTextAssetLink)
   }
+}
 
-  console.log(`📝 Found ${apiPosts.data.length} posts to process`)
-  
-  // Loop over posts
-  for (let [key, postData] of Object.entries(apiPosts.data)) {
-    console.log(`   Parsing: ${postData.slug}`)
-    /**
-     * Create base object with only limited keys
-     * (e.g. just 'slug', 'categories', 'title') etc.
-     *
-     * The idea here is that the key will be your Contentful field name
-     * and the value be the WP post value. We will later match the keys
-     * used here to their Contentful fields in the API.
-     */
-    let fieldData = {
-      id: postData.id,
-      type: postData.type,
-      postTitle: postData.title.rendered,
-      slug: postData.slug,
-      content: postData.content.rendered,
-      publishDate: postData.date_gmt + '+00:00',
-      featuredImage: postData.featured_media,
-      tags: getPostLabels(postData.tags, 'tags'),
-      categories: getPostLabels(postData.categories, 'categories'),
-      contentImages: getPostBodyImages(postData)
-    }
-
-    wpData.posts.push(fieldData)
-  }
-
-  console.log(`✅ Processed ${wpData.posts.length} posts successfully`)
-  console.log(logSeparator)
+/**
+ * List the shortcodes no handler knew, which were left in the posts as text.
+ */
+function reportUnhandledShortcodes() {
+  const unhandled = Object.entries(contentfulData.unhandledShortcodes || {})
+  if (unhandled.length === 0) {
+    return
+  }
 
-  writeDataToFile(wpData, 'wpPosts');
-  createForContentful();
+  console.log(logSeparator)
+  console.log(`⚠️  Shortcodes without a handler in ${unhandled.length} post(s), left as text:`)
+  unhandled.forEach(([slug, shortcodes]) => {
+    console.log(`   - ${slug}: ${shortcodes.join(', ')}`)
+  })
+  console.log('   Add handlers for them under shortcodes in your config.js')
 }
 
-function getPostBodyImages(postData) {
-  // console.log(`- Getting content images`)
-  let imageRegex = /<img\s[^>]*?src\s*=\s*['\"]([^'\"]*?)['\"][^>]*?>/g
-  let bodyImages = []
+/**
+ * Placeholder for the Rich Text nodes or embedded entry a block or
+ * shortcode handler gave. Entries are queued to be created before the
+ * post, with an ID derived from the post and their position in it.
+ * Markdown can't hold either, so null is returned there to convert the
+ * block or shortcode as usual.
+ * @param {Array|Object} result - Rich Text nodes, or { contentType, fields }.
+ * @param {Object} source - type ('block' or 'shortcode') and name, whether the handler came
+ *   from the config (its fields are paths in the view getView returns) or returned values.
+ * @param {Object} context - from createContentContext.
+ */
+function createEmbedPlaceholder(result, source, context) {
+  const label = source.type === 'block' ? `Block ${source.name}` : `Shortcode [${source.name}]`
 
-  if (postData.featured_media > 0) {
-    let mediaData = getApiDataType(`media`)[0];
+  if (context.format === 'markdown') {
+    console.log(`   ⚠️  ${label} in ${context.post.slug} can't be embedded in Markdown, converting it as usual`)
+    return null
+  }
 
-    let mediaObj = mediaData.data.filter(obj => {
-      if (obj.id === postData.featured_media) {
-        return obj
-      }
-    })[0];
+  let nodes = result
+  if (!Array.isArray(result)) {
+    const contentType = (contentfulData.embedContentTypes || {})[result.contentType]
+    if (!contentType) {
+      console.log(`   ⚠️  Content type "${result.contentType}" for ${label} not found, converting it as usual`)
+      return null
+    }
 
-    // Add null check for mediaObj
-    if (mediaObj) {
-      bodyImages.push({
-        link: mediaObj.source_url,
-        description: mediaObj.alt_text || `Featured image for post ${postData.id}`,
-        title: mediaObj.alt_text || `Featured image for post ${postData.id}`,
-        mediaId: mediaObj.id,
-        postId: mediaObj.post,
-        featured: true
-      })
-    } else {
-      console.log(`Warning: Featured media with ID ${postData.featured_media} not found for post: ${postData.slug}`)
+    const view = source.fromConfig ? source.getView() : null
+    let values = {}
+    for (const [fieldId, value] of Object.entries(result.fields || {})) {
+      values[fieldId] = source.fromConfig ? getSourceValue(view, value) : value
     }
+
+    // Counted per post rather than per field, so every field's entries get IDs of their own
+    const countKey = `${source.type}-${context.post.wpPost.id}`
+    contentfulData.embedCounts = contentfulData.embedCounts || {}
+    contentfulData.embedCounts[countKey] = (contentfulData.embedCounts[countKey] || 0) + 1
+
+    const entryId = `wp-${countKey}-${contentfulData.embedCounts[countKey]}`
+    contentfulData.embeddedEntries = (contentfulData.embeddedEntries || []).concat({
+      id: context.post.id,
+      slug: `${context.post.slug} ${source.name} ${contentfulData.embedCounts[countKey]}`,
+      entryId: entryId,
+      contentType: contentType,
+      fields: buildEmbeddedEntryFields(values, contentType)
+    })
+
+    nodes = [{
+      nodeType: 'embedded-entry-block',
+      data: {
+        target: createRichTextEntryLink(entryId)
+      },
+      content: []
+    }]
   }
 
-  while (foundImage = imageRegex.exec(postData.content.rendered)) {
-    let alt = `Image from post ${postData.id}`
+  context.nodes.push(nodes)
+  return `<wp-embed data-index="${context.nodes.length - 1}"></wp-embed>`
+}
 
-    if (foundImage[0].includes('alt="')) {
-      alt = foundImage[0].split('alt="')[1].split('"')[0] || `Image from post ${postData.id}`
+/**
+ * HTML of a field for the Rich Text or Markdown converter: block markup
+ * rendered block by block, and shortcodes run through their handlers.
+ * @param {String} value - HTML read from the WordPress post.
+ * @param {Object} context - from createContentContext.
+ */
+function renderContentHtml(value, context) {
+  const markup = getBlockMarkup(value, context.post.wpPost)
+  const html = markup ? renderBlocks(parseBlocks(markup), context) : (value || '')
+
+  return shortcode_settings.enabled ? renderShortcodes(html, context) : html
+}
+
+/**
+ * Convert a field's HTML or block markup to a Rich Text document.
+ * @param {String} value - HTML read from the WordPress post.
+ * @param {Object} post - reduced WordPress post data.
+ */
+function convertContentToRichText(value, post) {
+  const context = createContentContext(post, 'richtext')
+  const html = renderContentHtml(value, context)
+
+  return convertToRichText(html, context.nodes)
+}
+
+/**
+ * Paragraph linking to a URL, for embeds that can't be represented.
+ * @param {String} url - embedded URL.
+ */
+function createLinkHtml(url) {
+  return `<p><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></p>`
+}
+
+/**
+ * Escape text for use in HTML and its attributes.
+ * @param {*} value - text to escape.
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+}
+
+/**
+ * Fields of an entry embedded for a block or shortcode, left out where the content
+ * type doesn't have them. HTML goes into Rich Text fields converted, and
+ * a single link field gets the first of a list of links.
+ * @param {Object} values - field ID → value.
+ * @param {Object} contentType - Contentful content type of the entry.
+ */
+function buildEmbeddedEntryFields(values, contentType) {
+  let fields = {}
+
+  for (const [fieldId, value] of Object.entries(values)) {
+    const field = contentType.fields.find(field => field.id === fieldId)
+    if (!field || value === undefined || value === null || value === '') {
+      continue
     }
 
-    bodyImages.push({
-      link: foundImage[1],
-      description: alt,
-      title: alt,
-      postId: postData.id,
-      featured: false
-    })
+    let fieldValue = value
+    if (field.type === 'RichText' && typeof value === 'string') {
+      fieldValue = convertToRichText(value)
+    } else if (field.type !== 'Array' && Array.isArray(value)) {
+      fieldValue = value[0]
+    }
+
+    if (fieldValue !== undefined) {
+      fields[fieldId] = {
+        [defaultLocale]: fieldValue
+      }
+    }
   }
-  return bodyImages
+  return fields
 }
 
-function getPostLabels(postItems, labelType) {
-  let labels = []
-  let apiTag = getApiDataType(labelType)[0];
+/**
+ * Create the entries block and shortcode handlers embedded in the posts
+ * converted so far, so the posts can be published with them.
+ * @param {Object} environment - Contentful Environment.
+ */
+async function createEmbeddedEntries(environment) {
+  const embeddedEntries = contentfulData.embeddedEntries || []
+  contentfulData.embeddedEntries = []
 
-  // Add safety check for apiTag
-  if (!apiTag || !apiTag.data) {
-    console.log(`Warning: No ${labelType} data found`);
-    return labels;
+  for (const contentTypeId of new Set(embeddedEntries.map(({ contentType }) => contentType.sys.id))) {
+    await createEntriesWithIds(environment, contentTypeId, embeddedEntries.filter(({ contentType }) => contentType.sys.id === contentTypeId), true)
   }
+}
 
-  for (const labelId of postItems) {
-    let labelName = apiTag.data.filter(obj => {
-      if (obj.id === labelId) {
-        return obj.name
-      }
-    });
+/**
+ * Turn a WordPress value into the value of a Contentful field.
+ * @param {*} value - value read from the WordPress post.
+ * @param {String|Function} transform - transform name, or a function of (value, WordPress post).
+ * @param {Object} post - reduced WordPress post data.
+ * @param {Object} contentRoute - the content route the post belongs to.
+ * @param {Object} field - the Contentful field the value is for.
+ */
+function applyFieldTransform(value, transform, post, contentRoute, field) {
+  if (typeof transform === 'function') {
+    return transform(value, post.wpPost)
+  }
 
-    // Add safety check for labelName array
-    if (labelName.length > 0 && labelName[0] && labelName[0].name) {
-      labels.push(labelName[0].name)
-    } else {
-      console.log(`Warning: ${labelType} with ID ${labelId} not found`);
-    }
+  switch (transform) {
+    case 'html-to-richtext':
+      // Convert HTML to Contentful RichText format
+      console.log(`   📝 Converting ${field.id} to RichText format`)
+      return convertContentToRichText(value, post)
+    case 'html-to-markdown':
+      // Convert HTML to markdown for Long Text fields
+      console.log(`   📝 Converting ${field.id} to Markdown format`)
+      return turndownService.turndown(renderContentHtml(value, createContentContext(post, 'markdown')))
+    case 'strip-html':
+      return value ? domino.createDocument(String(value)).body.textContent.replace(/\s+/g, ' ').trim() : value
+    case 'date':
+      return getContentfulDate(value)
+    case 'asset-link':
+      return getAssetLinks(value, post)
+    case 'reference':
+      return getEntryLinks(value, post, field)
+    case 'tags':
+    case 'categories':
+      // Tags and categories take the shape of their field: text, list or links
+      return getTaxonomyFieldValue(value, transform, contentRoute)
+    case 'author':
+      // As does the author: a name or a link to their entry
+      return getAuthorFieldValue(value, post, contentRoute)
+    default:
+      return value
   }
+}
 
-  return labels
+/**
+ * ISO 8601 date for a WordPress date. WordPress' *_gmt dates and ACF date
+ * pickers (Ymd) have no time zone, so they're taken as UTC.
+ * @param {String} value - WordPress date.
+ */
+function getContentfulDate(value) {
+  if (!value) {
+    return undefined
+  }
+
+  const date = String(value).replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3')
+  return /(Z|[+-]\d{2}:?\d{2})$/i.test(date) || !date.includes('T') ? date : `${date}+00:00`
 }
 
 /**
- * Helper function to get a specific data tree for a type of resource.
- * @param {String} resourceName - specific type of WP endpoint (e.g. posts, media)
+ * Asset links for the media IDs, URLs or media objects an asset-link field
+ * reads. A list of values gives a list of links.
+ * @param {*} value - value read from the WordPress post.
+ * @param {Object} post - reduced WordPress post data.
  */
-function getApiDataType(resourceName) {
-  let apiType = apiData.filter(obj => {
-    if (obj && obj.endpoint === resourceName && obj.success) {
-      return obj
+function getAssetLinks(value, post) {
+  const links = [].concat(value || []).map((item) => {
+    const image = getAssetSource(item, post.wpPost)
+    const assetId = image && contentfulData.assetsBySource[image.link]
+
+    if (!assetId) {
+      console.log(`   ⚠️  No asset found for ${JSON.stringify(item)} in ${post.slug}, leaving it out`)
+      return null
+    }
+
+    return {
+      sys: {
+        type: 'Link',
+        linkType: 'Asset',
+        id: assetId
+      }
     }
-  });
-  
-  if (apiType.length === 0) {
-    console.log(`⚠️  No data found for resource type: ${resourceName}`)
-    return []
-  }
-  
-  return apiType
+  }).filter(Boolean)
+
+  return Array.isArray(value) ? links : links[0]
 }
 
 /**
- * Write all exported WP data to its own JSON file.
- * @param {Object} dataTree - JSON body of WordPress data
- * @param {*} dataType - type of WordPress API endpoint.
+ * Entry links for the WordPress post IDs (or post objects) a reference field
+ * reads. Only posts migrated before this one, by this run or an earlier one,
+ * can be linked to. A list field gets a list of links whether WordPress has
+ * one post or several, a single link field the first of them.
+ * @param {*} value - value read from the WordPress post.
+ * @param {Object} post - reduced WordPress post data.
+ * @param {Object} field - the Contentful field the links are for.
  */
-function writeDataToFile(dataTree, dataType) {
-  console.log(`Writing data to a file`)
+function getEntryLinks(value, post, field) {
+  const links = [].concat(value || []).map((item) => {
+    const wpId = typeof item === 'object' ? (item.ID || item.id) : item
+    const entryId = contentfulData.entryIds[wpId]
 
-  fs.writeFile(`./${dataType}.json`, JSON.stringify(dataTree, null, 2), (err) => {
-    if (err) {
-      console.error(err);
-      return;
-    };
-    console.log(`...Done!`)
-    console.log(logSeparator)
-  });
+    if (!entryId) {
+      console.log(`   ⚠️  WordPress post ${wpId} referenced by ${post.slug} wasn't migrated, leaving it out`)
+      return null
+    }
+
+    return {
+      sys: {
+        type: 'Link',
+        linkType: 'Entry',
+        id: entryId
+      }
+    }
+  }).filter(Boolean)
+
+  return field.type === 'Array' ? links : links[0]
 }
 
 /**
- * Create Contentful Client.
+ * Dry run stand-in for createAssets: records the assets entries would
+ * link to, without uploading anything.
+ * @param {String} environment - Contentful Environment
+ * @param {Array} promises - Contentful Asset data trees with their IDs and checkpoint keys
+ * @param {Array} assets - array to store Assets in
  */
-function createForContentful() {
-  console.log('🔗 Connecting to Contentful...')
-  console.log(`Space ID: ${ctfData.spaceId}`)
-  console.log(`Environment: ${ctfData.environment}`)
-  
-  ctfClient.getSpace(ctfData.spaceId)
-  .then((space) => {
-    console.log('✅ Successfully connected to Contentful space')
-    return space.getEnvironment(ctfData.environment)
-  })
-  .then((environment) => {
-    console.log('✅ Successfully accessed environment')
-    // First, let's check what content types exist
-    checkExistingContentTypes(environment);
-  })
-  .catch((error) => {
-    console.error('❌ Error connecting to Contentful:')
-    console.error('Status:', error.response?.status)
-    console.error('Message:', error.message)
-    console.error('Details:', error.response?.data)
-    
-    if (error.response?.status === 401) {
-      console.error('\n🔑 Authentication Error - Check your access token:')
-      console.error('1. Make sure your access token is a Content Management API token (starts with CFPAT-)')
-      console.error('2. Verify the token has the correct permissions')
-      console.error('3. Check if the token is still valid (not expired)')
-    } else if (error.response?.status === 404) {
-      console.error('\n🔍 Not Found Error:')
-      console.error('1. Check if your Space ID is correct')
-      console.error('2. Verify the environment name (usually "master")')
-      console.error('3. Make sure you have access to this space')
+function planContentfulAssets(environment, promises, assets) {
+  contentfulData.plannedAssets = promises.map(({ assetId, sourceUrls, fields, existingAsset }, index) => {
+    const assetRecord = {
+      assetId: assetId,
+      fileName: fields.file[defaultLocale].fileName,
+      sourceUrls: sourceUrls,
+      url: fields.file[defaultLocale].upload
+    }
+    assets.push(assetRecord)
+    console.log(`🖼️  Would ${existingAsset ? 'update' : 'create'} asset ${index + 1}/${promises.length}: ${assetRecord.fileName}`)
+
+    return {
+      action: existingAsset ? 'update' : 'create',
+      assetId: assetRecord.assetId,
+      fields: fields
     }
-    
-    process.exit(1)
   })
+
+  return Promise.resolve(contentfulData.plannedAssets)
 }
 
 /**
- * Check what content types exist in the Contentful space
- * @param {String} environment - name of Contentful environment.
+ * Dry run stand-in for createContentfulEntries: records the entries a real
+ * run would create or update, without writing anything.
+ * @param {String} environment - Name of Contentful Environment.
+ * @param {Array} promises - data trees for Contentful entries with their WordPress IDs.
  */
-function checkExistingContentTypes(environment) {
-  console.log('🔍 Checking existing content types in Contentful space...')
-  
-  environment.getContentTypes()
-    .then((contentTypes) => {
-      console.log('📋 Available content types:')
-      if (contentTypes.items.length === 0) {
-        console.log('   No content types found in this space.')
-      } else {
-        contentTypes.items.forEach((contentType) => {
-          console.log(`   - ID: "${contentType.sys.id}", Name: "${contentType.name}"`)
-        })
-      }
-      
-      // Check if our desired content type exists
-      const targetContentType = contentTypes.items.find(ct => ct.sys.id === contentful_content_type)
-      
-      if (targetContentType) {
-        console.log(`✅ Content type "${contentful_content_type}" found. Proceeding with migration...`)
-        console.log(logSeparator)
-        buildContentfulAssets(environment);
-      } else {
-        console.log(`❌ Content type "${contentful_content_type}" not found!`)
-        console.log('\n📝 You need to either:')
-        console.log('1. Create a content type with the ID "' + contentful_content_type + '" in Contentful, or')
-        console.log('2. Change the contentType in your config.js to one of the existing content types above')
-        console.log('\n🔧 If creating a new content type, make sure to add these fields:')
-        console.log('   - postTitle (Short text)')
-        console.log('   - slug (Short text)')
-        console.log('   - content (Long text)')
-        console.log('   - publishDate (Date & time)')
-        console.log('   - featuredImage (Media - optional)')
-        console.log('   - tags (Short text, list - optional)')
-        console.log('   - categories (Short text, list - optional)')
-        console.log(logSeparator)
-        process.exit(1);
-      }
-    })
-    .catch((error) => {
-      console.error('❌ Error checking content types:')
-      console.error('Status:', error.response?.status)
-      console.error('Message:', error.message)
-      console.error('Details:', error.response?.data)
-      process.exit(1)
-    })
+function planContentfulEntries(environment, promises) {
+  const plannedEntries = promises.map(({ wpId, slug, matchValue, contentType, fields, metadata, publishAction, publishAt }) => {
+    const existingEntry = (contentfulData.existingEntries[contentType] || {})[matchValue]
+    const entryId = existingEntry ? existingEntry.sys.id : getPostEntryId(wpId)
+
+    // Child pages planned later link to this entry
+    contentfulData.entryIds[wpId] = entryId
+
+    return {
+      action: existingEntry ? 'update' : 'create',
+      entryId: entryId,
+      contentType: contentType,
+      wordpressId: wpId,
+      slug: slug,
+      publishAction: publishAction,
+      publishAt: publishAction === 'schedule' ? publishAt : undefined,
+      fields: fields,
+      metadata: metadata
+    }
+  })
+
+  contentfulData.plannedEntries = (contentfulData.plannedEntries || []).concat(plannedEntries)
+  return Promise.resolve(plannedEntries)
 }
 
 /**
- * Build data trees for Contentful assets.
- * @param {String} environment - name of Contentful environment.
+ * Write the planned asset and entry payloads to disk and print a plan of
+ * what a real run would do.
+ * @param {Array} assets - assets the entries link to.
  */
-function buildContentfulAssets(environment) {
-  let assetPromises = []
+function reportDryRun(assets) {
+  const plannedAssets = contentfulData.plannedAssets || []
+  const plannedEntries = contentfulData.plannedEntries || []
 
-  console.log('Building Contentful Asset Objects')
+  writeDataToFile(plannedAssets, 'dryRunAssets')
+  writeDataToFile(plannedEntries, 'dryRunEntries')
 
-  // For every image in every post, create a new asset.
-  for (let [index, wpPost] of wpData.posts.entries()) {
-    for (const [imgIndex, contentImage] of wpPost.contentImages.entries()) {
-      // Ensure title and description are always strings
-      const title = typeof contentImage.title === 'string' ? contentImage.title : `Image ${imgIndex + 1} from ${wpPost.slug}`;
-      const description = typeof contentImage.description === 'string' ? contentImage.description : `Image ${imgIndex + 1} from ${wpPost.slug}`;
-      
-      let assetObj = {
-        title: {
-          'en-US': title
-        },
-        description: {
-          'en-US': description
-        },
-        file: {
-          'en-US': {
-            contentType: 'image/jpeg',
-            fileName: contentImage.link.split('/').pop(),
-            upload: encodeURI(contentImage.link)
-          }
-        }
-      }
+  console.log(logSeparator)
+  console.log('🧪 Dry run plan')
+  console.log(logSeparator)
+  console.log(`🖼️  Assets to create: ${plannedAssets.filter(asset => asset.action === 'create').length} (${assets.length - plannedAssets.length} reused)`)
+  console.log(`🔄 Assets to update: ${plannedAssets.filter(asset => asset.action === 'update').length}`)
+  console.log(`📝 Entries to create: ${plannedEntries.filter(entry => entry.action === 'create').length}`)
+  console.log(`🔄 Entries to update: ${plannedEntries.filter(entry => entry.action === 'update').length}`)
 
-      assetPromises.push(assetObj);
+  for (const entry of plannedEntries) {
+    console.log(logSeparator)
+    console.log(`${entry.action === 'create' ? '📝 Create' : `🔄 Update ${entry.entryId}`} ${entry.contentType}: ${entry.slug} (WordPress ID ${entry.wordpressId})`)
+    if (entry.publishAction === 'draft') {
+      console.log('   left as a draft')
+    } else if (entry.publishAction === 'schedule') {
+      console.log(`   scheduled to publish at ${entry.publishAt}`)
     }
-  }
 
-  let assets = []
+    for (const [fieldId, value] of Object.entries(entry.fields)) {
+      const otherLocales = Object.keys(value).filter(locale => locale !== defaultLocale)
+      console.log(`   ${fieldId}: ${previewFieldValue(value[defaultLocale])}${otherLocales.length > 0 ? ` (+ ${otherLocales.join(', ')})` : ''}`)
+    }
+
+    if (entry.metadata) {
+      console.log(`   metadata tags: ${entry.metadata.tags.map(tag => tag.sys.id).join(', ')}`)
+    }
+  }
 
-  console.log(`Creating Contentful Assets...`)
   console.log(logSeparator)
+  console.log('Payloads written to dryRunAssets.json and dryRunEntries.json')
+  console.log('Nothing was created or published. Run without --dry-run to migrate.')
+  console.log(logSeparator)
+}
 
-  // getAndStoreAssets()
+/**
+ * Short, single line description of a field value for the dry run plan.
+ * @param {*} value - Contentful field value for one locale.
+ */
+function previewFieldValue(value) {
+  if (value && value.nodeType === 'document') {
+    return `RichText (${value.content.length} blocks)`
+  }
 
-  createContentfulAssets(environment, assetPromises, assets)
-    .then((result) => {
-      console.log(`...Done!`)
-      console.log(logSeparator)
+  if (value && value.sys && value.sys.type === 'Link') {
+    return `→ ${value.sys.linkType} ${value.sys.id}`
+  }
 
-      getAndStoreAssets(environment, assets)
-    })
+  const text = (typeof value === 'string' ? value : JSON.stringify(value)).replace(/\s+/g, ' ')
+  return text.length > 80 ? `${text.substring(0, 77)}...` : text
 }
 
 /**
- * Fetch all published assets from Contentful and store in a variable.
- * @param {String} environment - name of Contentful Environment.
- * @param {Array} assets - Array to store assets in.
+ * What happens to a post's entry once it's written: 'publish', 'draft', or
+ * 'schedule' to publish it at the post's date. With the mirror policy,
+ * published posts are published, future posts scheduled and the rest
+ * (draft, pending, private) left as drafts.
+ * @param {Object} wpPost - WordPress post data.
  */
-function getAndStoreAssets(environment, assets) {
-  console.log(`Storing asset URLs in a global array to use later`)
-    // Not supported with JS? Easier to get all assets and support
-    axios.get(`https://api.contentful.com/spaces/${ctfData.spaceId}/environments/${ctfData.environment}/public/assets`,
-    {
-      headers: {
-        'Authorization':`Bearer ${ctfData.accessToken}`
-      }
-    })
-    .then((result) => {
-      // console.log(result)
-      contentfulData.assets = []
-      for (const item of result.data.items) {
-        contentfulData.assets.push(item.fields.file['en-US'].url)
-      }
-
-      createContentfulPosts(environment, assets)
+function getPublishAction(wpPost) {
+  if (publish_policy !== 'mirror') {
+    return publish_policy
+  }
 
-    }).catch((err) => {
-      console.log(err)
-      return error
-    });
-    console.log(`...Done!`)
-    console.log(logSeparator)
+  if (wpPost.status === 'future') {
+    return 'schedule'
+  }
+  return wpPost.status === 'publish' ? 'publish' : 'draft'
 }
 
 /**
- * Create a Promise to publish all assets.
- * Note that, Timeout might not be needed here, but Contentful
- * rate limits were being hit.
- * @param {String} environment - Contentful Environment
- * @param {Array} promises - Contentful Asset data trees
- * @param {Array} assets - array to store Assets in
+ * Schedule an entry to be published at its post's date with a Contentful
+ * scheduled action, unless one already is. Dates that have passed since the
+ * post was scheduled publish it straight away.
+ * @param {Object} environment - Contentful Environment.
+ * @param {Object} entry - Contentful entry.
+ * @param {String} publishAt - ISO date to publish at.
+ * @param {String} slug - WordPress slug, for logging.
  */
-function createContentfulAssets(environment, promises, assets) {
-  return Promise.all(
-    promises.map((asset, index) => new Promise(async resolve => {
+async function scheduleEntryPublish(environment, entry, publishAt, slug) {
+  if (!publishAt || new Date(publishAt) <= new Date()) {
+    console.log(`   📤 Publishing: ${slug} (its publish date has passed)`)
+    return queueRequest(() => entry.publish(), `Publishing entry ${slug}`)
+  }
 
-      let newAsset
-      console.log(`🖼️  Creating asset ${index + 1}/${promises.length}: ${asset.file['en-US'].fileName}`)
-      
-      setTimeout(() => {
-        environment.createAsset({
-          fields: asset
-        })
-        .then((asset) => {
-          console.log(`   ⏳ Processing: ${asset.fields.file['en-US'].fileName}`)
-          return asset.processForAllLocales()
-        })
-        .then((asset) => {
-          console.log(`   📤 Publishing: ${asset.fields.file['en-US'].fileName}`)
-          return asset.publish()
-        })
-        .then((asset) => {
-          console.log(`   ✅ Published: ${asset.fields.file['en-US'].fileName}`)
-          assets.push({
-            assetId: asset.sys.id,
-            fileName: asset.fields.file['en-US'].fileName
-          })
-          resolve(asset)
-        })
-        .catch((error) => {
-          console.error(`   ❌ Failed to create asset: ${asset.file['en-US'].fileName}`)
-          console.error('   Error:', error.message)
-          if (error.response?.data) {
-            console.error('   Details:', error.response.data)
-          }
-          // Continue with other assets even if one fails
-          resolve(null)
-        })
-      }, 1000 + (5000 * index));
-    }))
-  );
+  const scheduledActions = await queueRequest(() => contentfulData.space.getScheduledActions({
+    'environment.sys.id': environment.sys.id,
+    'entity.sys.id': entry.sys.id,
+    'sys.status': 'scheduled'
+  }), `Getting scheduled actions for ${slug}`)
+
+  if (scheduledActions.items.some(({ action }) => action === 'publish')) {
+    console.log(`   ⏰ Already scheduled: ${slug}`)
+    return entry
+  }
+
+  console.log(`   ⏰ Scheduling: ${slug} to publish at ${publishAt}`)
+  await queueRequest(() => contentfulData.space.createScheduledAction({
+    entity: { sys: { type: 'Link', linkType: 'Entry', id: entry.sys.id } },
+    environment: { sys: { type: 'Link', linkType: 'Environment', id: environment.sys.id } },
+    action: 'publish',
+    scheduledFor: { datetime: publishAt, timezone: 'UTC' }
+  }), `Scheduling entry ${slug}`)
+  return entry
 }
 
 /**
- * For each WordPress post, build the data for a Contentful counterpart.
+ * For each post data tree, create or update a Contentful entry. They're
+ * published by publishContentfulEntries once every entry of the run exists.
  * @param {String} environment - Name of Contentful Environment.
- * @param {Array} assets - array to store Assets in
+ * @param {Array} promises - data trees for Contentful entries with their WordPress IDs.
  */
-function createContentfulPosts(environment, assets) {
-  console.log(`Creating Contentful Posts...`)
-  console.log(logSeparator)
-
-  // let postFields = {}
-  /**
-   * Dynamically build our Contentful data object
-   * using the keys we built whilst reducing the WP Post data.alias
-   *
-   * Results:
-   *  postTitle: {
-   *    'en-US': wpPost.postTitle
-   *   },
-   *  slug: {
-   *    'en-US': wpPost.slug
-   *  },
-   */
-  let promises = []
-
-  for (const [index, post] of wpData.posts.entries()) {
-    let postFields = {}
-
-    for (let [postKey, postValue] of Object.entries(post)) {
-      // console.log(`postKey: ${postValue}`)
-      if (postKey === 'content') {
-        // Handle content based on configuration
-        if (config.contentful.contentFormat === 'richtext') {
-          // Convert HTML to Contentful RichText format
-          postValue = convertToRichText(postValue)
-          console.log(`   📝 Converting content to RichText format`)
-        } else {
-          // Convert HTML to markdown for Long Text fields
-          postValue = turndownService.turndown(postValue)
-          console.log(`   📝 Converting content to Markdown format`)
-        }
-      }
+function createContentfulEntries(environment, promises) {
+  return Promise.all(promises.map((record, index) => {
+    const { wpId, slug, matchValue, contentType, fields: post, metadata } = record
+    const existingEntry = (contentfulData.existingEntries[contentType] || {})[matchValue]
 
-      // Handle tags and categories - convert arrays to comma-separated strings if needed
-      if (postKey === 'tags' || postKey === 'categories') {
-        if (Array.isArray(postValue)) {
-          // If the field expects a single Symbol, join the array into a string
-          postValue = postValue.join(', ')
-        }
-      }
+    console.log(`📝 ${existingEntry ? 'Updating' : 'Creating'} ${contentType} ${index + 1}/${promises.length}: ${slug}`)
 
-      /**
-       * Remove values/flags/checks used for this script that
-       * Contentful doesn't need.
-       */
-      let keysToSkip = [
-        'id',
-        'type',
-        'contentImages'
-      ]
+    let entryRequest
 
-      if (!keysToSkip.includes(postKey)) {
-        postFields[postKey] = {
-          'en-US': postValue
-        }
+    if (existingEntry) {
+      // Keep fields we don't migrate, overwrite the ones we do
+      existingEntry.fields = { ...existingEntry.fields, ...post }
+      if (metadata) {
+        const existingTags = (existingEntry.metadata && existingEntry.metadata.tags) || []
+        const newTags = metadata.tags.filter(tag => !existingTags.find(({ sys }) => sys.id === tag.sys.id))
+        existingEntry.metadata = { ...existingEntry.metadata, tags: existingTags.concat(newTags) }
       }
+      entryRequest = queueRequest(() => existingEntry.update(), `Updating entry ${slug}`)
+    } else {
+      entryRequest = queueCreateRequest(() => environment.createEntryWithId(contentType, getPostEntryId(wpId), {
+        fields: post,
+        metadata: metadata
+      }), () => environment.getEntry(getPostEntryId(wpId)), `Creating entry ${slug}`)
+      .then((entry) => {
+        recordCreated({ type: 'Entry', id: entry.sys.id, contentType: contentType, wordpressId: wpId })
 
-      if (postKey === 'featuredImage' && postValue > 0) {
-        let assetObj = assets.filter(asset => {
-          if (asset.fileName === post.contentImages[0].link.split('/').pop()) {
-            return asset
-          }
-        })[0];
-
-        postFields.featuredImage = {
-          'en-US': {
-            sys: {
-              type: 'Link',
-              linkType: 'Asset',
-              id: assetObj.assetId
-            }
-          }
+        // Recorded before publishing, so a resume updates and publishes this entry
+        // instead of taking it for a duplicate
+        checkpoint.posts[wpId] = {
+          entryId: entry.sys.id,
+          slug: slug,
+          published: false
         }
-      }
+        saveCheckpoint()
+        return entry
+      })
+    }
 
-      // No image and Contentful will fail if value is '0', so remove.
-      if (postKey === 'featuredImage' && postValue === 0) {
-        delete postFields.featuredImage
+    return entryRequest
+    .then((entry) => {
+      // Child pages created later link to this entry
+      contentfulData.entryIds[wpId] = entry.sys.id
+      return { ...record, entry: entry }
+    })
+    .catch((error) => {
+      console.error(`   ❌ Failed to create entry: ${slug}`)
+      console.error('   Error:', error.message)
+      if (error.response?.data) {
+        console.error('   Details:', JSON.stringify(error.response.data, null, 2))
       }
-    }
-    promises.push(postFields)
-  }
+      // Continue with other entries even if one fails
+      return null
+    })
+  }));
+}
 
-  console.log(`Post objects created, attempting to create entries...`)
-  createContentfulEntries(environment, promises)
-    .then((result) => {
-      console.log(logSeparator);
-      console.log(`Done!`);
-      console.log(logSeparator);
-      console.log(`The migration has completed.`)
-      console.log(logSeparator);
-    });
+/**
+ * Entry IDs a field value links to, wherever they are in it (Link fields,
+ * arrays of them or Rich Text nodes).
+ * @param {*} value - field value or any part of it.
+ */
+function getLinkedEntryIds(value) {
+  if (!value || typeof value !== 'object') {
+    return []
+  }
+  if (value.sys && value.sys.type === 'Link' && value.sys.linkType === 'Entry') {
+    return [value.sys.id]
+  }
+  return Object.values(value).reduce((ids, child) => ids.concat(getLinkedEntryIds(child)), [])
 }
 
 /**
- * For each post data tree, publish a Contentful entry.
+ * Publish, schedule or leave as a draft each entry createContentfulEntries
+ * created, according to the publish policy. Publishing waits until all of
+ * them exist, so posts can link to posts created after them. Entries that
+ * link to a post whose entry couldn't be created would fail to publish, so
+ * they're left unpublished for a resume.
  * @param {String} environment - Name of Contentful Environment.
- * @param {Array} promises - data trees for Contentful posts.
+ * @param {Array} createdEntries - results of createContentfulEntries, null for failed entries.
  */
-function createContentfulEntries(environment, promises) {
-  return Promise.all(promises.map((post, index) => new Promise(async resolve => {
+function publishContentfulEntries(environment, createdEntries) {
+  const failedEntryIds = getMigratedPosts()
+    .filter(post => !contentfulData.entryIds[post.id])
+    .map(post => getPostEntryId(post.id))
 
-    let newPost
+  return Promise.all(createdEntries.map((record) => {
+    if (!record) {
+      return null
+    }
 
-    console.log(`📝 Creating post ${index + 1}/${promises.length}: ${post.slug['en-US']}`)
+    const { wpId, slug, fields, publishAction, publishAt, entry } = record
+    const missingIds = getLinkedEntryIds(fields).filter(id => failedEntryIds.includes(id))
 
-    setTimeout(() => {
-      environment.createEntry(contentful_content_type, {
-        fields: post
-      })
-      .then((entry) => {
-        console.log(`   📤 Publishing: ${entry.fields.slug['en-US']}`)
-        return entry.publish()
-      })
-      .then((entry) => {
-        console.log(`   ✅ Success: ${entry.fields.slug['en-US']}`)
-        resolve(entry)
-      })
-      .catch((error) => {
-        console.error(`   ❌ Failed to create entry: ${post.slug['en-US']}`)
-        console.error('   Error:', error.message)
-        if (error.response?.data) {
-          console.error('   Details:', JSON.stringify(error.response.data, null, 2))
-        }
-        // Continue with other entries even if one fails
-        resolve(null)
-      })
-    }, 1000 + (5000 * index));
-  })));
-}
+    if (missingIds.length > 0) {
+      console.log(`   ⚠️  Leaving ${slug} unpublished, it links to ${missingIds.join(', ')} which couldn't be created`)
+      return null
+    }
 
-/**
- * Convert WordPress content to Contentful Rich Text
- * Ideally we'd be using Markdown here, but I like the RichText editor 🤡
- *
- * Note: Abandoned because it did not seem worth the effort.
- * Leaving this here in case anybody does decide to venture this way.
- *
- * @param {String} content - WordPress post content.
- */
-function formatRichTextPost(content) {
-  // TODO: split  at paragraphs, create a node for each.
-  console.log(logSeparator)
+    let publishRequest
+    if (publishAction === 'draft') {
+      // A mirrored post taken back to draft in WordPress is unpublished too
+      if (publish_policy === 'mirror' && entry.isPublished()) {
+        console.log(`   📥 Unpublishing: ${slug}`)
+        publishRequest = queueRequest(() => entry.unpublish(), `Unpublishing entry ${slug}`)
+      } else {
+        console.log(`   📝 Leaving as draft: ${slug}`)
+        publishRequest = Promise.resolve(entry)
+      }
+    } else if (publishAction === 'schedule') {
+      publishRequest = scheduleEntryPublish(environment, entry, publishAt, slug)
+    } else {
+      console.log(`   📤 Publishing: ${slug}`)
+      publishRequest = queueRequest(() => entry.publish(), `Publishing entry ${slug}`)
+    }
 
-  // turndownService.remove('code')
-  let markdown = turndownService.turndown(content)
-
-  // console.log(logSeparator)
-  // console.log(markdown)
-
-  // let imageLinks = /!\[[^\]]*\]\((.*?)\s*("(?:.*[^"])")?\s*\)/g
-  // let imageRegex = /<img\s[^>]*?src\s*=\s*['\"]([^'\"]*?)['\"][^>]*?>/g
-
-  // while (foundImage = imageLinks.exec(markdown)) {
-    // console.log(foundImage[0])
-    // let alt = foundImage[0].split('alt="')[1].split('"')[0]
-  // }
-
-
-  /**
-   * https://www.contentful.com/developers/docs/concepts/rich-text/
-   */
-
-  /**
-   *     "expected": [
-          "blockquote",
-          "embedded-asset-block",
-          "embedded-entry-block",
-          "heading-1",
-          "heading-2",
-          "heading-3",
-          "heading-4",
-          "heading-5",
-          "heading-6",
-          "hr",
-          "ordered-list",
-          "paragraph",
-          "unordered-list"
-        ]
-   */
-
-  // let contentor = {
-  //   content: [
-  //     {
-  //       nodeType:"paragraph",
-  //       data: {},
-  //       content: [
-  //         {
-  //           value: content,
-  //           nodeType:"text",
-  //           marks: [],
-  //           data: {}
-  //         }
-  //       ]
-  //     },
-  //     // {
-  //     //   nodeType:"paragraph",
-  //     //   data: {},
-  //     //   content: [
-  //     //     {
-  //     //       value: "lorem hello world two",
-  //     //       nodeType:"text",
-  //     //       marks: [],
-  //     //       data: {}
-  //     //     }
-  //     //   ]
-  //     // },
-  //   ],
-  //   data: {},
-  //   nodeType: 'document'
-  // };
-
-  return markdown
-}
-
-migrateContent();
+    return publishRequest
+    .then((entry) => {
+      console.log(`   ✅ Success: ${slug}`)
+
+      checkpoint.posts[wpId] = {
+        entryId: entry.sys.id,
+        slug: slug,
+        published: true
+      }
+      saveCheckpoint()
+      return entry
+    })
+    .catch((error) => {
+      console.error(`   ❌ Failed to publish entry: ${slug}`)
+      console.error('   Error:', error.message)
+      if (error.response?.data) {
+        console.error('   Details:', JSON.stringify(error.response.data, null, 2))
+      }
+      return null
+    })
+  }))
+}
+
+if (rollback_run) {
+  rollbackRun().catch((error) => {
+    console.error('❌ Error rolling back:')
+    console.error('Status:', error.response?.status)
+    console.error('Message:', error.message)
+    process.exit(1)
+  })
+} else {
+  migrateContent();
+}
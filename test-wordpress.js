@@ -20,16 +20,23 @@ console.log('==================================')
 
 console.log(`\n📡 Testing WordPress endpoint: ${config.wordpress.endpoint}`)
 
+// Authenticate like the migration does, so unpublished posts are counted too
+const auth = config.wordpress.auth || {}
+const requestConfig = auth.token
+  ? { headers: { Authorization: `Bearer ${auth.token}` } }
+  : (auth.username && auth.password ? { auth: { username: auth.username, password: auth.password } } : {})
+const statusQuery = config.wordpress.status ? `&status=${[].concat(config.wordpress.status).join(',')}` : ''
+
 async function testWordPressAPI() {
   try {
     // Test basic connectivity
     console.log('\n1. 🔗 Testing basic connectivity...')
-    const response = await axios.get(`${config.wordpress.endpoint}posts?per_page=1`)
+    const response = await axios.get(`${config.wordpress.endpoint}posts?per_page=1${statusQuery}`, requestConfig)
     console.log('   ✅ WordPress API is accessible')
     
     // Check post count
     const totalPosts = response.headers['x-wp-total'] ? parseInt(response.headers['x-wp-total']) : 'unknown'
-    console.log(`   📊 Total published posts: ${totalPosts}`)
+    console.log(`   📊 Total ${config.wordpress.status || 'published'} posts: ${totalPosts}`)
     console.log(`   📊 Requested import count: ${config.wordpress.importPostCount}`)
     
     if (totalPosts !== 'unknown' && totalPosts < config.wordpress.importPostCount) {
@@ -42,7 +49,7 @@ async function testWordPressAPI() {
     
     for (const endpoint of endpoints) {
       try {
-        const endpointResponse = await axios.get(`${config.wordpress.endpoint}${endpoint}?per_page=1`)
+        const endpointResponse = await axios.get(`${config.wordpress.endpoint}${endpoint}?per_page=1`, requestConfig)
         const count = endpointResponse.headers['x-wp-total'] ? parseInt(endpointResponse.headers['x-wp-total']) : 'unknown'
         console.log(`   ✅ ${endpoint}: ${count} items available`)
       } catch (error) {
@@ -53,7 +60,7 @@ async function testWordPressAPI() {
     // Test a larger sample
     console.log('\n3. 📝 Testing larger data fetch...')
     const testCount = Math.min(config.wordpress.importPostCount, 10) // Test with max 10 posts
-    const largerResponse = await axios.get(`${config.wordpress.endpoint}posts?per_page=${testCount}`)
+    const largerResponse = await axios.get(`${config.wordpress.endpoint}posts?per_page=${testCount}${statusQuery}`, requestConfig)
     console.log(`   ✅ Successfully fetched ${largerResponse.data.length} posts`)
     
     if (largerResponse.data.length > 0) {
@@ -77,6 +84,10 @@ async function testWordPressAPI() {
       console.error('- Make sure the URL is correct')
       console.error('- Ensure WordPress REST API is enabled')
       console.error('- Try visiting the URL in your browser')
+    } else if ([400, 401, 403].includes(error.response?.status)) {
+      console.error('\n🔑 Authentication Error - Check wordpress.auth in config.js:')
+      console.error('- Use a username with an Application Password, or a valid JWT token')
+      console.error('- Make sure the user may read the statuses you asked for')
     } else if (error.code === 'ENOTFOUND') {
       console.error('\n🌐 Network Error:')
       console.error('- Check your internet connection')
@@ -4,6 +4,7 @@
  */
 
 const contentful = require('contentful-management')
+const { getDefaultFieldMapping } = require('./field-mapping')
 
 // Load configuration
 let config;
@@ -24,6 +25,22 @@ console.log(`   Space ID: ${config.contentful.spaceId}`)
 console.log(`   Environment: ${config.contentful.environment}`)
 console.log(`   Content Type: ${config.contentful.contentType}`)
 console.log(`   Content Format: ${config.contentful.contentFormat || 'richtext'}`)
+console.log(`   Existing Entry Policy: ${config.contentful.existingEntryPolicy || 'skip'}`)
+console.log(`   Publish Policy: ${config.contentful.publishPolicy || 'publish'}`)
+if (config.contentful.sandbox && config.contentful.sandbox.enabled) {
+  console.log(`   Sandbox: cloned from "${config.contentful.sandbox.sourceEnvironment || config.contentful.environment || 'master'}", alias "${config.contentful.sandbox.alias || 'master'}"`)
+}
+if (config.internalLinks && config.internalLinks.enabled === false) {
+  console.log('   Internal Links: left pointing at WordPress')
+} else {
+  console.log(`   Internal Links: ${config.internalLinks && config.internalLinks.urlPattern ? `entry links, ${config.internalLinks.urlPattern} in Markdown` : 'entry links'}`)
+}
+if (config.blocks && config.blocks.enabled) {
+  console.log(`   Blocks: converted block by block, ${Object.keys(config.blocks.handlers || {}).length} handler(s)`)
+}
+if (config.shortcodes && config.shortcodes.enabled) {
+  console.log(`   Shortcodes: converted, ${Object.keys(config.shortcodes.handlers || {}).length} handler(s) besides the built-in ones`)
+}
 console.log(`   Access Token: ${config.contentful.accessToken.substring(0, 10)}...`)
 
 if (!config.contentful.accessToken.startsWith('CFPAT-')) {
@@ -36,6 +53,18 @@ const client = contentful.createClient({
   accessToken: config.contentful.accessToken
 })
 
+// Field types the migration can write each transform of the default mapping to
+const transformFieldTypes = {
+  'none': 'Symbol',
+  'html-to-richtext': 'RichText',
+  'html-to-markdown': 'Text',
+  'date': 'Date',
+  'asset-link': 'Link',
+  'author': ['Symbol', 'Link'],
+  'tags': ['Symbol', 'Array'],
+  'categories': ['Symbol', 'Array']
+}
+
 async function validateConnection() {
   try {
     console.log('\n2. 🔗 Testing space connection...')
@@ -64,25 +93,26 @@ async function validateConnection() {
       
       console.log('\n5. 🔧 Checking content type fields...')
       console.log('   Required fields for migration:')
-      const requiredFields = [
-        { id: 'postTitle', expectedType: 'Symbol' },
-        { id: 'slug', expectedType: 'Symbol' },
-        { id: 'content', expectedType: config.contentful.contentFormat === 'richtext' ? 'RichText' : 'Text' },
-        { id: 'publishDate', expectedType: 'Date' }
-      ]
-      const optionalFields = [
-        { id: 'featuredImage', expectedType: 'Link' },
-        { id: 'tags', expectedType: 'Symbol' },
-        { id: 'categories', expectedType: 'Symbol' }
-      ]
+      // With a field mapping, every mapped field is required whatever its type. The default
+      // mapping is the migration's own, where only the featured image, tags and categories are optional
+      const defaultFields = Object.entries(getDefaultFieldMapping(config.contentful.contentFormat))
+        .map(([id, mapping]) => ({ id, expectedType: transformFieldTypes[mapping.transform || 'none'] }))
+      const requiredFields = config.contentful.fields
+        ? Object.keys(config.contentful.fields).map(id => ({ id }))
+        : defaultFields.filter(({ id }) => !['featuredImage', 'tags', 'categories'].includes(id))
+      const optionalFields = defaultFields.filter(({ id }) => ['featuredImage', 'tags', 'categories'].includes(id))
+      // Existing entries are matched by it, the migration writes the WordPress ID as a number or text
+      if (config.contentful.wordpressIdField && !requiredFields.find(({ id }) => id === config.contentful.wordpressIdField)) {
+        requiredFields.push({ id: config.contentful.wordpressIdField, expectedType: ['Symbol', 'Integer'] })
+      }
       
       requiredFields.forEach(({ id: fieldId, expectedType }) => {
         const field = targetContentType.fields.find(f => f.id === fieldId)
         if (field) {
-          if (field.type === expectedType) {
+          if (!expectedType || [].concat(expectedType).includes(field.type)) {
             console.log(`     ✅ ${fieldId} (${field.type}) - matches expected type`)
           } else {
-            console.log(`     ⚠️  ${fieldId} (${field.type}) - expected ${expectedType}`)
+            console.log(`     ⚠️  ${fieldId} (${field.type}) - expected ${[].concat(expectedType).join(' or ')}`)
             if (fieldId === 'content') {
               console.log(`        💡 Tip: Change contentFormat in config.js to '${field.type === 'RichText' ? 'richtext' : 'markdown'}'`)
             }
@@ -102,11 +132,42 @@ async function validateConnection() {
         }
       })
       
+      if (config.pages && config.pages.enabled) {
+        const pageContentType = contentTypes.items.find(ct => ct.sys.id === (config.pages.contentType || 'page'))
+        console.log('   Pages:')
+        if (pageContentType) {
+          console.log(`     ✅ Page content type "${pageContentType.sys.id}" found`)
+          const pageFields = [config.pages.parentField, config.pages.orderField].filter(Boolean)
+          pageFields.forEach((fieldId) => {
+            const field = pageContentType.fields.find(f => f.id === fieldId)
+            console.log(field ? `     ✅ ${fieldId} (${field.type})` : `     ❌ ${fieldId} - MISSING`)
+          })
+        } else {
+          console.log(`     ❌ Page content type "${config.pages.contentType || 'page'}" not found`)
+        }
+      }
+      
+      const postTypes = config.postTypes || []
+      postTypes.forEach(({ route, contentType, fields }) => {
+        const postContentType = contentTypes.items.find(ct => ct.sys.id === contentType)
+        console.log(`   Post type "${route}":`)
+        if (!postContentType) {
+          console.log(`     ❌ Content type "${contentType}" not found`)
+          return
+        }
+        console.log(`     ✅ Content type "${contentType}" found`)
+        Object.keys(fields || {}).forEach((fieldId) => {
+          const field = postContentType.fields.find(f => f.id === fieldId)
+          console.log(field ? `     ✅ ${fieldId} (${field.type})` : `     ❌ ${fieldId} - MISSING`)
+        })
+      })
+      
     } else {
       console.log(`   ❌ Target content type "${config.contentful.contentType}" not found`)
       console.log('   You need to either:')
-      console.log('     1. Create this content type in Contentful, or')
-      console.log('     2. Change contentType in config.js to an existing one')
+      console.log('     1. Create this content type in Contentful,')
+      console.log('     2. Change contentType in config.js to an existing one, or')
+      console.log('     3. Set provisionContentTypes to true in config.js to have the migration create it')
     }
 
     console.log('\n✅ Configuration validation complete!')